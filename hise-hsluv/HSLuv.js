@@ -128,6 +128,29 @@ namespace HSLuv {
 		return 0.0;
 	}
 
+	// ---------------------------
+	// vec4ToColour: clamp all values to [0,1] to avoid issues, then pack as uint32
+	// ---------------------------
+	inline function vec4ToColour(vec4) {
+		for (i = 0; i < 4; i++) {
+			if (Math.isnan(vec4[i]) || Math.isinf(vec4[i])) {
+				vec4[i] = 0.0;
+			}
+			else {
+				vec4[i] = Math.range(vec4[i], 0.0, 1.0);
+			}
+		}
+
+		return Colours.fromVec4(vec4);
+	}
+
+	// ---------------------------
+	// reportError: prints "HSLuv.<functionName>: <message>" to the console
+	// ---------------------------
+	inline function reportError(functionName, message) {
+		Console.print("HSLuv." + functionName + ": " + message);
+	}
+
 	// ===========================
 	// original helpers
 	// ===========================
@@ -193,27 +216,48 @@ namespace HSLuv {
 
 
 	// ---------------------------
-	// Function: getBounds
-	// Returns 6 lines [m,b] representing sRGB gamut for a given L
+	// Cache mode (off by default, see setCacheMode)
+	// bounds:  getBounds per L, quantised to boundsStep
+	// colours: toVec4 / toColour RGB per [H,S,L], quantised to colourStep
+	// Each table is flushed when it reaches maxEntries.
 	// ---------------------------
-	inline function getBounds(L) {
+	const cache = {
+		enabled: false,
+		colourStep: 0.5,
+		boundsStep: 0.01,
+		maxEntries: 4096,
+		bounds: {},
+		boundsCount: 0,
+		colours: {},
+		coloursCount: 0,
+		hits: 0,
+		misses: 0
+	};
+
+	// ---------------------------
+	// gamut bound rows [m0,m1,m2] (XYZ -> linear sRGB), shared by computeBounds and
+	// the batch maxChromaScalar
+	// ---------------------------
+	const BOUNDS_M =
+		[
+			[3.240969941904521, -1.537383177570093, -0.498610760293],
+			[-0.96924363628087, 1.87596750150772, 0.041555057407175],
+			[0.055630079696993, -0.20397695888897, 1.056971514242878]
+		];
+
+	// ---------------------------
+	// computeBounds: returns 6 lines [m,b] representing sRGB gamut for a given L
+	// ---------------------------
+	inline function computeBounds(L) {
 		local result = [];
 
 		local sub1 = Math.pow((L + 16.0) / 116.0, 3.0);
 		local sub2 = (sub1 > E) ? sub1 : (L / K);
 
-		// Each row corresponds to [m0,m1,m2]
-		local m =
-			[
-				[3.240969941904521, -1.537383177570093, -0.498610760293],
-				[-0.96924363628087, 1.87596750150772, 0.041555057407175],
-				[0.055630079696993, -0.20397695888897, 1.056971514242878]
-			];
-
 		for (c = 0; c < 3; c = c + 1) {
-			local mc0 = m[c][0];
-			local mc1 = m[c][1];
-			local mc2 = m[c][2];
+			local mc0 = BOUNDS_M[c][0];
+			local mc1 = BOUNDS_M[c][1];
+			local mc2 = BOUNDS_M[c][2];
 
 			// lower bound (t=0)
 			local line0 = pushLine_safe(mc0, mc1, mc2, L, 0);
@@ -227,6 +271,40 @@ namespace HSLuv {
 		return result;
 	}
 
+	// ---------------------------
+	// Function: getBounds
+	// Returns 6 lines [m,b] representing sRGB gamut for a given L
+	// (memoised in cache mode, don't modify the result)
+	// ---------------------------
+	inline function getBounds(L) {
+		if (!cache.enabled) return computeBounds(L);
+
+		local boundsL = L;
+		local key = "" + L;
+
+		if (cache.boundsStep > 0) {
+			local index = Math.round(L / cache.boundsStep);
+
+			boundsL = index * cache.boundsStep;
+			key = "" + index;
+		}
+
+		local bounds = cache.bounds[key];
+
+		if (isDefined(bounds)) return bounds;
+
+		if (cache.boundsCount >= cache.maxEntries) {
+			cache.bounds = {};
+			cache.boundsCount = 0;
+		}
+
+		bounds = computeBounds(boundsL);
+		cache.bounds[key] = bounds;
+		cache.boundsCount += 1;
+
+		return bounds;
+	}
+
 
 	// ---------------------------
 	// Function: maxChromaForLH
@@ -251,6 +329,28 @@ namespace HSLuv {
 	}
 
 
+	// ---------------------------
+	// Function: maxSafeChromaForL
+	// Returns the largest chroma that is in gamut for EVERY hue at lightness L
+	// (shortest distance from the origin to any of the gamut bound lines)
+	// ---------------------------
+	inline function maxSafeChromaForL(L) {
+		local bounds = getBounds(L);
+		local minLength = 1e10;
+
+		for (i = 0; i < bounds.length; i = i + 1) {
+			local slope = bounds[i][0];
+			local intercept = bounds[i][1];
+
+			local length = Math.abs(intercept) / Math.sqrt(slope * slope + 1.0);
+
+			if (length < minLength) minLength = length;
+		}
+
+		return minLength;
+	}
+
+
 	// ===========================
 	// conversion chain forward (HSLuv -> RGB) 
 	// ===========================
@@ -525,6 +625,44 @@ namespace HSLuv {
 	}
 
 
+	// ---------------------------
+	// cachedHsluvToRgb: hsluvToRgb through the colour table of the cache mode
+	// (H, S and L are quantised to colourStep first)
+	// ---------------------------
+	inline function cachedHsluvToRgb(HSL) {
+		local hsl = [HSL[0], HSL[1], HSL[2]];
+		local key = "" + hsl[0] + "_" + hsl[1] + "_" + hsl[2];
+
+		if (cache.colourStep > 0) {
+			local hIndex = Math.round(hsl[0] / cache.colourStep);
+			local sIndex = Math.round(hsl[1] / cache.colourStep);
+			local lIndex = Math.round(hsl[2] / cache.colourStep);
+
+			hsl = [hIndex * cache.colourStep, sIndex * cache.colourStep, lIndex * cache.colourStep];
+			key = "" + hIndex + "_" + sIndex + "_" + lIndex;
+		}
+
+		local rgb = cache.colours[key];
+
+		if (isDefined(rgb)) {
+			cache.hits += 1;
+			return rgb;
+		}
+
+		if (cache.coloursCount >= cache.maxEntries) {
+			cache.colours = {};
+			cache.coloursCount = 0;
+		}
+
+		rgb = HSLuv.hsluvToRgb(hsl);
+		cache.colours[key] = rgb;
+		cache.coloursCount += 1;
+		cache.misses += 1;
+
+		return rgb;
+	}
+
+
 	// ===========================
 	// HISE functions Forward (converting HSLuv to HISE usable formats)---
 	// ===========================
@@ -534,8 +672,8 @@ namespace HSLuv {
 	// Call to HSLuv.toVec4(var HSL) returns [R,G,B A]
 	// ---------------------------
 	inline function toVec4(HSL) {
-		// Step 1: HSLuv -> RGB
-		local rgb = HSLuv.hsluvToRgb(HSL);
+		// Step 1: HSLuv -> RGB (quantised and memoised in cache mode)
+		local rgb = cache.enabled ? cachedHsluvToRgb(HSL) : HSLuv.hsluvToRgb(HSL);
 
 		return [rgb[0], rgb[1], rgb[2], 1.0];
 	}
@@ -548,17 +686,7 @@ namespace HSLuv {
 	inline function toColour(HSL) {
 		local vec4 = HSLuv.toVec4(HSL);
 
-		// clamp all values to [0,1] to avoid issues
-		for (i = 0; i < 4; i++) {
-			if (Math.isnan(vec4[i]) || Math.isinf(vec4[i])) {
-				vec4[i] = 0.0;
-			}
-			else {
-				vec4[i] = Math.range(vec4[i], 0.0, 1.0);
-			}
-		}
-
-		return Colours.fromVec4(vec4);
+		return vec4ToColour(vec4);
 	}
 
 	// ---------------------------
@@ -574,17 +702,7 @@ namespace HSLuv {
 		// override alpha with provided value
 		vec4[3] = alpha;
 
-		// clamp all values to [0,1] to avoid issues
-		for (i = 0; i < 4; i++) {
-			if (Math.isnan(vec4[i]) || Math.isinf(vec4[i])) {
-				vec4[i] = 0.0;
-			}
-			else {
-				vec4[i] = Math.range(vec4[i], 0.0, 1.0);
-			}
-		}
-
-		return Colours.fromVec4(vec4);
+		return vec4ToColour(vec4);
 	}
 
 	// ===========================
@@ -660,86 +778,2305 @@ namespace HSLuv {
 		return hsluv; // returns [H, S, L, A]
 	}
 
-} // end namespace HSLuv
 
+	// ===========================
+	// Gamut mapping (LCh / Luv -> HISE colour)
+	// HSLuv arrays are always in gamut (S is clamped to 100), but LCh and Luv values
+	// built by hand often are not. Modes:
+	//   "clip"   - per-channel RGB clamp (fast, but shifts hue and lightness)
+	//   "chroma" - reduce chroma at constant L and H down to maxChromaForLH
+	//   "minde"  - hue-preserving minimum Delta E: closest in-gamut point on the
+	//              same hue plane, trading a little L for less chroma loss
+	// ===========================
 
+	const gamutMapping = { mode: "clip" };
 
+	// ---------------------------
+	// setGamutMapping: default mode for lchToColour / luvToColour
+	// ---------------------------
+	inline function setGamutMapping(mode) {
+		if (mode != "clip" && mode != "chroma" && mode != "minde") {
+			reportError("setGamutMapping", "unknown mode \"" + mode + "\" (expected clip, chroma or minde)");
+			return;
+		}
 
+		gamutMapping.mode = mode;
+	}
 
+	// ---------------------------
+	// isInGamut: true if [L, C, H] fits in sRGB without clipping
+	// ---------------------------
+	inline function isInGamut(LCH) {
+		local L = sanitize(LCH[0]);
+		local C = sanitize(LCH[1]);
 
-// ************* HSLuv Tools **************** //
-// HSLuv = [H, S, L];
+		if (L < -EPS || L > 100.0 + 1e-6) return false;
+		if (C <= 1e-6) return true;
+		if (L < EPS || L > 99.99999) return false;
 
-// --- Utility: sRGB to linear
-inline function toLinear(c) {
-	return (c <= 0.04045) ? (c / 12.92) : Math.pow((c + 0.055) / 1.055, 2.4);
-}
+		return C <= maxChromaForLH(L, sanitize(LCH[2])) + 1e-6;
+	}
 
-// --- Compute relative luminance (Lv) from HSLuv input
-inline function getLuminance(hsluv) {
-    local vec4 = HSLuv.toVec4(hsluv); // vec4 = [r,g,b,a] 
-    local r = toLinear(vec4[0]);
-    local g = toLinear(vec4[1]);
-    local b = toLinear(vec4[2]);
+	// ---------------------------
+	// reduceChroma: clamp C to the gamut edge at constant L and H
+	// ---------------------------
+	inline function reduceChroma(LCH) {
+		local L = Math.range(sanitize(LCH[0]), 0.0, 100.0);
+		local H = sanitize(LCH[2]);
 
-    // Rec. 709 luminance weights
-    local Lv = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-	return Lv; // 0-1
-}
+		if (L < EPS || L > 99.99999) return [L, 0.0, H];
 
-// --- Contrast ratio between two HSLuv colours
-inline function getContrast(hsluv1, hsluv2) {
-    local Lv1 = getLuminance(hsluv1);
-    local Lv2 = getLuminance(hsluv2);
+		return [L, Math.min(Math.max(sanitize(LCH[1]), 0.0), maxChromaForLH(L, H)), H];
+	}
 
-    local L1 = Math.max(Lv1, Lv2);
-    local L2 = Math.min(Lv1, Lv2);
+	// ---------------------------
+	// mindeDistance: squared distance on the hue plane from [L, C] to the gamut
+	// edge point at lightness Lp
+	// ---------------------------
+	inline function mindeDistance(L, C, H, Lp) {
+		local Cp = 0.0;
 
-	return (L1 + 0.05) / (L2 + 0.05); // WCAG contrast ratio
-}
+		if (Lp > EPS && Lp < 99.99999) Cp = Math.min(C, maxChromaForLH(Lp, H));
 
-// --- Choose black or white (as HSLuv arrays) for high contrast
-inline function chooseHighContrastBW(hsluv) {
-    local Lv = getLuminance(hsluv);
+		return (L - Lp) * (L - Lp) + (C - Cp) * (C - Cp);
+	}
 
-	// Return black or white in HSLuv
-	return (Lv > 0.5) ? [0, 0, 0] : [0, 0, 100];
-}
+	// ---------------------------
+	// projectMinde: coarse scan of L then a ternary refinement around the best match
+	// ---------------------------
+	inline function projectMinde(LCH) {
+		local L = sanitize(LCH[0]);
+		local C = Math.max(sanitize(LCH[1]), 0.0);
+		local H = sanitize(LCH[2]);
 
+		local bestL = Math.range(L, 0.0, 100.0);
+		local bestD = mindeDistance(L, C, H, bestL);
 
-// =====================
-// HSL transforms
-// =====================
+		for (l = 0; l <= 50; l++) {
+			local Lp = l * 2.0;
+			local d = mindeDistance(L, C, H, Lp);
 
-inline function invertHue(HSL) {
-	local H = HSL[0];
-	local S = HSL[1];
-	local L = HSL[2];
+			if (d < bestD) {
+				bestD = d;
+				bestL = Lp;
+			}
+		}
+
+		local lo = Math.max(bestL - 2.0, 0.0);
+		local hi = Math.min(bestL + 2.0, 100.0);
+
+		for (iter = 0; iter < 20; iter++) {
+			local m1 = lo + (hi - lo) / 3.0;
+			local m2 = hi - (hi - lo) / 3.0;
 
-	local newH = H + 180;
+			if (mindeDistance(L, C, H, m1) < mindeDistance(L, C, H, m2)) hi = m2;
+			else lo = m1;
+		}
+
+		local Lfinal = (lo + hi) * 0.5;
 
-	if (newH > 360) {
-		newH -= 360;
+		if (mindeDistance(L, C, H, Lfinal) > bestD) Lfinal = bestL;
+
+		return reduceChroma([Lfinal, C, H]);
 	}
 
-	local newHSL = [newH, S, L];
-	return newHSL;
-}
+	// ---------------------------
+	// mapToGamut: returns an in-gamut [L, C, H] using mode ("clip" returns LCH unchanged,
+	// the clamp then happens per channel in xyzToRgb)
+	// ---------------------------
+	inline function mapToGamut(LCH, mode) {
+		if (mode == "clip" || isInGamut(LCH)) return [LCH[0], LCH[1], LCH[2]];
+		if (mode == "minde") return projectMinde(LCH);
 
-inline function invertLightness(HSL) {
-	local H = HSL[0];
-	local S = HSL[1];
-	local L = HSL[2];
-	
-	local newL = 1.0 - L;
+		return reduceChroma(LCH);
+	}
 
-	local newHSL = [H, S, newL];
+	// ---------------------------
+	// lchToColour
+	// Call to HSLuv.lchToColour(var LCH) returns uint32 value for HISE "Colours" format,
+	// mapped into gamut with the mode set by setGamutMapping (default "clip")
+	// ---------------------------
+	inline function lchToColour(LCH) {
+		local lch = mapToGamut(LCH, gamutMapping.mode);
+		local rgb = HSLuv.xyzToRgb(HSLuv.luvToXyz(HSLuv.lchToLuv(lch)));
 
-	return newHSL;
-}
+		return vec4ToColour([rgb[0], rgb[1], rgb[2], 1.0]);
+	}
+
+	// ---------------------------
+	// lchToColourWithAlpha
+	// Call to HSLuv.lchToColourWithAlpha(var LCHA) returns uint32 value for HISE "Colours" format
+	// ---------------------------
+	inline function lchToColourWithAlpha(LCHA) {
+		local vec4 = Colours.toVec4(HSLuv.lchToColour([LCHA[0], LCHA[1], LCHA[2]]));
+
+		// override alpha with provided value
+		vec4[3] = LCHA[3];
+
+		return vec4ToColour(vec4);
+	}
+
+	// ---------------------------
+	// luvToColour / luvToColourWithAlpha
+	// ---------------------------
+	inline function luvToColour(Luv) {
+		return HSLuv.lchToColour(HSLuv.luvToLch(Luv));
+	}
+
+	inline function luvToColourWithAlpha(LuvA) {
+		local lch = HSLuv.luvToLch([LuvA[0], LuvA[1], LuvA[2]]);
 
+		return HSLuv.lchToColourWithAlpha([lch[0], lch[1], lch[2], LuvA[3]]);
+	}
+
+
+	// ===========================
+	// HPLuv (pastel variant of HSLuv)
+	// Saturation is scaled to the largest chroma that is in gamut for every hue
+	// at the given lightness, so S means the same thing across all hues.
+	// The trade-off is that S = 100 only reaches pastel colours; saturated
+	// colours come back from rgbToHpluv / hpluvFromColour with S > 100.
+	// ===========================
+
+	// ---------------------------
+	// hpluvToLch
+	// ---------------------------
+	inline function hpluvToLch(HPL) {
+		local H = sanitize(HPL[0]);
+		local S = sanitize(HPL[1]);
+		local L = sanitize(HPL[2]);
+
+		if (L < EPS || L > 99.99999) {
+			return [L, 0.0, H];
+		}
+
+		local maxC = maxSafeChromaForL(L);
+
+		if (maxC <= EPS) {
+			return [L, 0.0, H];
+		}
+
+		local C = maxC * (Math.max(S, 0.0) / 100.0);
+
+		C = sanitize(C);
+
+		return [L, C, H];
+	}
+
+	// ---------------------------
+	// lchToHpluv
+	// S is NOT clamped to 100 (colours outside the pastel range report S > 100)
+	// ---------------------------
+	inline function lchToHpluv(LCH) {
+		local H = LCH[2];
+		local L = LCH[0];
+
+		if (L < EPS || L > 99.99999) {
+			return [H, 0.0, L];
+		}
 
+		local maxC = maxSafeChromaForL(L);
 
+		if (maxC <= EPS) {
+			return [H, 0.0, L];
+		}
+
+		local S = (LCH[1] / maxC) * 100.0;
+		S = Math.max(sanitize(S), 0.0);
+
+		return [H, S, L];
+	}
+
+	// ---------------------------
+	// hpluvToRgb
+	// ---------------------------
+	inline function hpluvToRgb(HPL) {
+		local lch = HSLuv.hpluvToLch(HPL);
+		local luv = HSLuv.lchToLuv(lch);
+		local xyz = HSLuv.luvToXyz(luv);
+
+		return HSLuv.xyzToRgb(xyz);
+	}
+
+	// ---------------------------
+	// rgbToHpluv
+	// ---------------------------
+	inline function rgbToHpluv(RGB) {
+		local xyz = HSLuv.rgbToXyz(RGB);
+		local luv = HSLuv.xyzToLuv(xyz);
+		local lch = HSLuv.luvToLch(luv);
+
+		return HSLuv.lchToHpluv(lch);
+	}
+
+	// ---------------------------
+	// hpluvToVec4
+	// Call to HSLuv.hpluvToVec4(var HPL) returns [R,G,B,A]
+	// ---------------------------
+	inline function hpluvToVec4(HPL) {
+		local rgb = HSLuv.hpluvToRgb(HPL);
+
+		return [rgb[0], rgb[1], rgb[2], 1.0];
+	}
 
+	// ---------------------------
+	// hpluvToColour
+	// Call to HSLuv.hpluvToColour(var HPL) returns uint32 value for HISE "Colours" format
+	// Alpha channel is assumed to be 1.0 here
+	// ---------------------------
+	inline function hpluvToColour(HPL) {
+		local vec4 = HSLuv.hpluvToVec4(HPL);
 
+		return vec4ToColour(vec4);
+	}
+
+	// ---------------------------
+	// hpluvToColourWithAlpha
+	// Call to HSLuv.hpluvToColourWithAlpha(var HPLA) returns uint32 value for HISE "Colours" format
+	// ---------------------------
+	inline function hpluvToColourWithAlpha(HPLA) {
+		local vec4 = HSLuv.hpluvToVec4([HPLA[0], HPLA[1], HPLA[2]]);
+
+		// override alpha with provided value
+		vec4[3] = HPLA[3];
+
+		return vec4ToColour(vec4);
+	}
+
+	// ---------------------------
+	// hpluvFromVec4: [R,G,B,A] -> [H,P,L]
+	// ---------------------------
+	inline function hpluvFromVec4(vec4) {
+		local RGB = [sanitize(vec4[0]), sanitize(vec4[1]), sanitize(vec4[2])];
+
+		return HSLuv.rgbToHpluv(RGB);
+	}
+
+	// ---------------------------
+	// hpluvFromColour
+	// ---------------------------
+	inline function hpluvFromColour(colour) {
+		local hpluv = hpluvFromVec4(Colours.toVec4(colour));
+
+		// Sanitize outputs
+		for (i = 0; i < 3; i++) {
+			if (Math.isnan(hpluv[i]) || Math.isinf(hpluv[i])) {
+				hpluv[i] = 0.0;
+			}
+		}
+
+		// Clamp H to [0,360] and L to [0,100] (S may legitimately exceed 100)
+		hpluv[0] = Math.range(hpluv[0], 0.0, 360.0);   // H
+		hpluv[2] = Math.range(hpluv[2], 0.0, 100.0);   // L
+
+		return hpluv; // returns [H, P, L]
+	}
+
+	// ---------------------------
+	// hpluvFromColourWithAlpha
+	// ---------------------------
+	inline function hpluvFromColourWithAlpha(colour) {
+		local hpluv = hpluvFromColour(colour);
+
+		// Append alpha
+		hpluv.push(Colours.toVec4(colour)[3]);
+
+		return hpluv; // returns [H, P, L, A]
+	}
+
+
+	// ===========================
+	// OKLab / OKLCH (Bjorn Ottosson, https://bottosson.github.io/posts/oklab/)
+	// A parallel chain to the CIELUV one above, more uniform in hue (especially blues).
+	// OKLab = [L, a, b] and OKLCH = [L, C, H] with L: 0-1, C: 0-~0.37, H: 0-360
+	// ===========================
+
+	// ---------------------------
+	// cbrt: cube root that keeps the sign of negative values
+	// ---------------------------
+	inline function cbrt(v) {
+		if (v < 0.0) return -Math.pow(-v, 1.0 / 3.0);
+		return Math.pow(v, 1.0 / 3.0);
+	}
+
+	// ---------------------------
+	// linearRgbToOklab: linear sRGB (not companded) -> OKLab
+	// ---------------------------
+	inline function linearRgbToOklab(RGB) {
+		local r = sanitize(RGB[0]);
+		local g = sanitize(RGB[1]);
+		local b = sanitize(RGB[2]);
+
+		local l_ = cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+		local m_ = cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+		local s_ = cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+		return [0.2104542553 * l_ + 0.7936177850 * m_ - 0.0040720468 * s_,
+				1.9779984951 * l_ - 2.4285922050 * m_ + 0.4505937099 * s_,
+				0.0259040371 * l_ + 0.7827717662 * m_ - 0.8086757660 * s_];
+	}
+
+	// ---------------------------
+	// oklabToLinearRgb: OKLab -> linear sRGB (not companded, not clamped)
+	// ---------------------------
+	inline function oklabToLinearRgb(LAB) {
+		local L = sanitize(LAB[0]);
+		local a = sanitize(LAB[1]);
+		local b = sanitize(LAB[2]);
+
+		local l_ = L + 0.3963377774 * a + 0.2158037573 * b;
+		local m_ = L - 0.1055613458 * a - 0.0638541728 * b;
+		local s_ = L - 0.0894841775 * a - 1.2914855480 * b;
+
+		local l = l_ * l_ * l_;
+		local m = m_ * m_ * m_;
+		local s = s_ * s_ * s_;
+
+		return [4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+				-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+				-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s];
+	}
+
+	// ---------------------------
+	// rgbToOklab: sRGB [0,1] -> OKLab
+	// ---------------------------
+	inline function rgbToOklab(RGB) {
+		local lin = [srgbInverseCompanding(RGB[0]), srgbInverseCompanding(RGB[1]), srgbInverseCompanding(RGB[2])];
+
+		return linearRgbToOklab(lin);
+	}
+
+	// ---------------------------
+	// oklabToRgb: OKLab -> sRGB, clamped to [0,1]
+	// ---------------------------
+	inline function oklabToRgb(LAB) {
+		local lin = oklabToLinearRgb(LAB);
+
+		local r = clamp01(sanitize(srgbCompanding(lin[0])));
+		local g = clamp01(sanitize(srgbCompanding(lin[1])));
+		local b = clamp01(sanitize(srgbCompanding(lin[2])));
+
+		return [r, g, b];
+	}
+
+	// ---------------------------
+	// oklabToOklch
+	// ---------------------------
+	inline function oklabToOklch(LAB) {
+		local L = sanitize(LAB[0]);
+		local a = sanitize(LAB[1]);
+		local b = sanitize(LAB[2]);
+
+		local C = Math.sqrt(a * a + b * b);
+		local Hdeg = Math.toDegrees(myAtan2(b, a));
+
+		if (Hdeg < 0.0) {
+			Hdeg = Hdeg + 360.0;
+		}
+
+		// hue is meaningless for greys
+		if (C < 1e-6) Hdeg = 0.0;
+
+		return [L, sanitize(C), sanitize(Hdeg)];
+	}
+
+	// ---------------------------
+	// oklchToOklab
+	// ---------------------------
+	inline function oklchToOklab(LCH) {
+		local L = sanitize(LCH[0]);
+		local C = sanitize(LCH[1]);
+		local Hrad = Math.toRadians(sanitize(LCH[2]));
+
+		return [L, sanitize(C * Math.cos(Hrad)), sanitize(C * Math.sin(Hrad))];
+	}
+
+	// ---------------------------
+	// rgbToOklch / oklchToRgb
+	// ---------------------------
+	inline function rgbToOklch(RGB) {
+		return HSLuv.oklabToOklch(HSLuv.rgbToOklab(RGB));
+	}
+
+	inline function oklchToRgb(LCH) {
+		return HSLuv.oklabToRgb(HSLuv.oklchToOklab(LCH));
+	}
+
+	// ---------------------------
+	// isOklchInGamut: true if the OKLCH colour fits in sRGB without clipping
+	// ---------------------------
+	inline function isOklchInGamut(LCH) {
+		local lin = oklabToLinearRgb(oklchToOklab(LCH));
+		local tolerance = 1e-6;
+
+		for (i = 0; i < 3; i++) {
+			if (lin[i] < -tolerance || lin[i] > 1.0 + tolerance) return false;
+		}
+
+		return true;
+	}
+
+	// ---------------------------
+	// oklchMaxChroma
+	// Returns the largest in-gamut OKLCH chroma for L (0-1) and H (degrees).
+	// OKLab has no closed-form gamut lines like getBounds, so this bisects.
+	// ---------------------------
+	inline function oklchMaxChroma(L, H) {
+		if (L <= 0.0 || L >= 1.0) return 0.0;
+
+		local lo = 0.0;
+		local hi = 0.4;
+
+		for (step = 0; step < 24; step++) {
+			local mid = (lo + hi) * 0.5;
+
+			if (isOklchInGamut([L, mid, H])) lo = mid;
+			else hi = mid;
+		}
+
+		return lo;
+	}
+
+	// ---------------------------
+	// hslToOklch / oklchToHsl
+	// HSLuv-style [H, S, L] access to OKLCH, so code written against HSLuv arrays can
+	// run in OKLCH: S is the percentage of oklchMaxChroma, L is OKLCH lightness * 100
+	// ---------------------------
+	inline function hslToOklch(HSL) {
+		local H = sanitize(HSL[0]);
+		local L = Math.range(sanitize(HSL[2]), 0.0, 100.0) / 100.0;
+		local Sat = Math.range(sanitize(HSL[1]), 0.0, 100.0);
+
+		return [L, oklchMaxChroma(L, H) * (Sat / 100.0), H];
+	}
+
+	inline function oklchToHsl(LCH) {
+		local maxC = oklchMaxChroma(LCH[0], LCH[2]);
+		local S = 0.0;
+
+		if (maxC > EPS) S = Math.range(sanitize(LCH[1] / maxC * 100.0), 0.0, 100.0);
+
+		return [LCH[2], S, Math.range(LCH[0] * 100.0, 0.0, 100.0)];
+	}
+
+	// ---------------------------
+	// oklchToVec4
+	// Call to HSLuv.oklchToVec4(var LCH) returns [R,G,B,A]
+	// ---------------------------
+	inline function oklchToVec4(LCH) {
+		local rgb = HSLuv.oklchToRgb(LCH);
+
+		return [rgb[0], rgb[1], rgb[2], 1.0];
+	}
+
+	// ---------------------------
+	// oklchToColour
+	// Call to HSLuv.oklchToColour(var LCH) returns uint32 value for HISE "Colours" format
+	// Alpha channel is assumed to be 1.0 here
+	// ---------------------------
+	inline function oklchToColour(LCH) {
+		return vec4ToColour(HSLuv.oklchToVec4(LCH));
+	}
+
+	// ---------------------------
+	// oklchToColourWithAlpha
+	// Call to HSLuv.oklchToColourWithAlpha(var LCHA) returns uint32 value for HISE "Colours" format
+	// ---------------------------
+	inline function oklchToColourWithAlpha(LCHA) {
+		local vec4 = HSLuv.oklchToVec4([LCHA[0], LCHA[1], LCHA[2]]);
+
+		// override alpha with provided value
+		vec4[3] = LCHA[3];
+
+		return vec4ToColour(vec4);
+	}
+
+	// ---------------------------
+	// oklchFromColour: uint32 -> [L, C, H]
+	// ---------------------------
+	inline function oklchFromColour(colour) {
+		local vec4 = Colours.toVec4(colour);
+
+		return HSLuv.rgbToOklch([vec4[0], vec4[1], vec4[2]]);
+	}
+
+	// ---------------------------
+	// oklchFromColourWithAlpha: uint32 -> [L, C, H, A]
+	// ---------------------------
+	inline function oklchFromColourWithAlpha(colour) {
+		local lch = HSLuv.oklchFromColour(colour);
+
+		// Append alpha
+		lch.push(Colours.toVec4(colour)[3]);
+
+		return lch;
+	}
+
+
+	// ===========================
+	// CIELAB (D65) and Delta E colour difference
+	// Lab = [L, a, b] with L: 0-100
+	// Delta E functions accept HSLuv arrays [H,S,L] or HISE uint32 colours;
+	// a difference of about 2.3 is the "just noticeable difference"
+	// ===========================
+
+	// ---------------------------
+	// labF / labFInverse: CIE companding of the XYZ ratios
+	// ---------------------------
+	inline function labF(t) {
+		if (t > E) return Math.pow(t, 1.0 / 3.0);
+		return (K * t + 16.0) / 116.0;
+	}
+
+	inline function labFInverse(f) {
+		local f3 = f * f * f;
+
+		if (f3 > E) return f3;
+		return (116.0 * f - 16.0) / K;
+	}
+
+	// ---------------------------
+	// xyzToLab
+	// ---------------------------
+	inline function xyzToLab(XYZ) {
+		local fx = labF(sanitize(XYZ[0]) / REF_X);
+		local fy = labF(sanitize(XYZ[1]) / REF_Y);
+		local fz = labF(sanitize(XYZ[2]) / REF_Z);
+
+		return [116.0 * fy - 16.0, 500.0 * (fx - fy), 200.0 * (fy - fz)];
+	}
+
+	// ---------------------------
+	// labToXyz
+	// ---------------------------
+	inline function labToXyz(LAB) {
+		local fy = (sanitize(LAB[0]) + 16.0) / 116.0;
+		local fx = fy + sanitize(LAB[1]) / 500.0;
+		local fz = fy - sanitize(LAB[2]) / 200.0;
+
+		return [labFInverse(fx) * REF_X, labFInverse(fy) * REF_Y, labFInverse(fz) * REF_Z];
+	}
+
+	// ---------------------------
+	// rgbToLab / labToRgb
+	// ---------------------------
+	inline function rgbToLab(RGB) {
+		return HSLuv.xyzToLab(HSLuv.rgbToXyz(RGB));
+	}
+
+	inline function labToRgb(LAB) {
+		return HSLuv.xyzToRgb(HSLuv.labToXyz(LAB));
+	}
+
+	// ---------------------------
+	// toLab: HSLuv array or uint32 colour -> Lab (alpha is ignored)
+	// ---------------------------
+	inline function toLab(colour) {
+		if (typeof colour == "number") {
+			local vec4 = Colours.toVec4(colour);
+			return HSLuv.rgbToLab([vec4[0], vec4[1], vec4[2]]);
+		}
+
+		return HSLuv.rgbToLab(HSLuv.hsluvToRgb([colour[0], colour[1], colour[2]]));
+	}
+
+	// ---------------------------
+	// deltaE76: Euclidean distance in Lab
+	// ---------------------------
+	inline function deltaE76(colour1, colour2) {
+		local lab1 = toLab(colour1);
+		local lab2 = toLab(colour2);
+
+		local dL = lab1[0] - lab2[0];
+		local da = lab1[1] - lab2[1];
+		local db = lab1[2] - lab2[2];
+
+		return Math.sqrt(dL * dL + da * da + db * db);
+	}
+
+	// ---------------------------
+	// deltaE94: CIE94 with the graphic arts weights (kL = 1, K1 = 0.045, K2 = 0.015)
+	// ---------------------------
+	inline function deltaE94(colour1, colour2) {
+		local lab1 = toLab(colour1);
+		local lab2 = toLab(colour2);
+
+		local C1 = Math.sqrt(lab1[1] * lab1[1] + lab1[2] * lab1[2]);
+		local C2 = Math.sqrt(lab2[1] * lab2[1] + lab2[2] * lab2[2]);
+
+		local dL = lab1[0] - lab2[0];
+		local dC = C1 - C2;
+		local da = lab1[1] - lab2[1];
+		local db = lab1[2] - lab2[2];
+
+		// dH^2 can go slightly negative through rounding
+		local dH2 = Math.max(da * da + db * db - dC * dC, 0.0);
+
+		local SC = 1.0 + 0.045 * C1;
+		local SH = 1.0 + 0.015 * C1;
+
+		return Math.sqrt(dL * dL + (dC / SC) * (dC / SC) + dH2 / (SH * SH));
+	}
+
+	// ---------------------------
+	// deltaE2000: CIEDE2000 (kL = kC = kH = 1)
+	// ---------------------------
+	inline function deltaE2000(colour1, colour2) {
+		local lab1 = toLab(colour1);
+		local lab2 = toLab(colour2);
+
+		local L1 = lab1[0];
+		local L2 = lab2[0];
+
+		local C1 = Math.sqrt(lab1[1] * lab1[1] + lab1[2] * lab1[2]);
+		local C2 = Math.sqrt(lab2[1] * lab2[1] + lab2[2] * lab2[2]);
+		local Cbar7 = Math.pow((C1 + C2) / 2.0, 7.0);
+		local G = 0.5 * (1.0 - Math.sqrt(Cbar7 / (Cbar7 + 6103515625.0))); // 25^7
+
+		local a1 = lab1[1] * (1.0 + G);
+		local a2 = lab2[1] * (1.0 + G);
+
+		local C1p = Math.sqrt(a1 * a1 + lab1[2] * lab1[2]);
+		local C2p = Math.sqrt(a2 * a2 + lab2[2] * lab2[2]);
+
+		local h1p = 0.0;
+		local h2p = 0.0;
+		if (C1p > EPS) h1p = Math.fmod(Math.toDegrees(myAtan2(lab1[2], a1)) + 360.0, 360.0);
+		if (C2p > EPS) h2p = Math.fmod(Math.toDegrees(myAtan2(lab2[2], a2)) + 360.0, 360.0);
+
+		local dLp = L2 - L1;
+		local dCp = C2p - C1p;
+
+		local dhp = 0.0;
+		if (C1p * C2p > EPS) {
+			dhp = h2p - h1p;
+			if (dhp > 180.0) dhp -= 360.0;
+			else if (dhp < -180.0) dhp += 360.0;
+		}
+
+		local dHp = 2.0 * Math.sqrt(C1p * C2p) * Math.sin(Math.toRadians(dhp / 2.0));
+
+		local Lbar = (L1 + L2) / 2.0;
+		local Cbarp = (C1p + C2p) / 2.0;
+
+		local hbarp = h1p + h2p;
+		if (C1p * C2p > EPS) {
+			if (Math.abs(h1p - h2p) <= 180.0) hbarp = hbarp / 2.0;
+			else if (hbarp < 360.0) hbarp = (hbarp + 360.0) / 2.0;
+			else hbarp = (hbarp - 360.0) / 2.0;
+		}
+
+		local T = 1.0
+			- 0.17 * Math.cos(Math.toRadians(hbarp - 30.0))
+			+ 0.24 * Math.cos(Math.toRadians(2.0 * hbarp))
+			+ 0.32 * Math.cos(Math.toRadians(3.0 * hbarp + 6.0))
+			- 0.20 * Math.cos(Math.toRadians(4.0 * hbarp - 63.0));
+
+		local dTheta = 30.0 * Math.exp(-Math.pow((hbarp - 275.0) / 25.0, 2.0));
+		local Cbarp7 = Math.pow(Cbarp, 7.0);
+		local RC = 2.0 * Math.sqrt(Cbarp7 / (Cbarp7 + 6103515625.0));
+
+		local Lbar50 = (Lbar - 50.0) * (Lbar - 50.0);
+		local SL = 1.0 + (0.015 * Lbar50) / Math.sqrt(20.0 + Lbar50);
+		local SC = 1.0 + 0.045 * Cbarp;
+		local SH = 1.0 + 0.015 * Cbarp * T;
+		local RT = -Math.sin(Math.toRadians(2.0 * dTheta)) * RC;
+
+		local tL = dLp / SL;
+		local tC = dCp / SC;
+		local tH = dHp / SH;
+
+		return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
+	}
+
+
+	// ===========================
+	// Colour vision deficiency (CVD) simulation
+	// Dichromat matrices from Machado, Oliveira & Fernandes (2009), applied in linear RGB.
+	// Partial severities (anomalous trichromacy) blend the simulation with the original
+	// colour in linear RGB, the same approximation DaltonLens uses.
+	// type: "protanopia", "deuteranopia", "tritanopia" or "achromatopsia"
+	// severity: 0.0 (normal vision) - 1.0 (full dichromacy / monochromacy)
+	// ===========================
+
+	const CVD_MATRICES = {
+		"protanopia":   [0.152286, 1.052583, -0.204868,
+						 0.114503, 0.786281, 0.099216,
+						 -0.003882, -0.048116, 1.051998],
+		"deuteranopia": [0.367322, 0.860646, -0.227968,
+						 0.280085, 0.672501, 0.047413,
+						 -0.011820, 0.042940, 0.968881],
+		"tritanopia":   [1.255528, -0.076749, -0.178779,
+						 -0.078411, 0.930809, 0.147602,
+						 0.004733, 0.691367, 0.303900]
+	};
+
+	// ---------------------------
+	// simulateCVDRgb: sRGB [0,1] -> sRGB [0,1] as seen with the given deficiency
+	// ---------------------------
+	inline function simulateCVDRgb(RGB, type, severity) {
+		local lin = [srgbInverseCompanding(RGB[0]), srgbInverseCompanding(RGB[1]), srgbInverseCompanding(RGB[2])];
+		local sim;
+
+		if (type == "achromatopsia") {
+			local Y = 0.2126729 * lin[0] + 0.7151522 * lin[1] + 0.0721750 * lin[2];
+			sim = [Y, Y, Y];
+		}
+		else {
+			local m = CVD_MATRICES[type];
+
+			if (!isDefined(m)) {
+				reportError("simulateCVD", "unknown type \"" + type + "\" (expected protanopia, deuteranopia, tritanopia or achromatopsia)");
+				return [RGB[0], RGB[1], RGB[2]];
+			}
+
+			sim = [m[0] * lin[0] + m[1] * lin[1] + m[2] * lin[2],
+				   m[3] * lin[0] + m[4] * lin[1] + m[5] * lin[2],
+				   m[6] * lin[0] + m[7] * lin[1] + m[8] * lin[2]];
+		}
+
+		local amount = Math.range(sanitize(severity), 0.0, 1.0);
+		local rgb = [0.0, 0.0, 0.0];
+
+		for (i = 0; i < 3; i++) {
+			rgb[i] = clamp01(sanitize(srgbCompanding(lin[i] + (sim[i] - lin[i]) * amount)));
+		}
+
+		return rgb;
+	}
+
+	// ---------------------------
+	// simulateCVD
+	// colour is a HISE uint32 colour (returns uint32, alpha kept) or an HSLuv
+	// array [H,S,L] / [H,S,L,A] (returns an HSLuv array of the same length)
+	// ---------------------------
+	inline function simulateCVD(colour, type, severity) {
+		if (typeof colour == "number") {
+			local vec4 = Colours.toVec4(colour);
+			local simRgb = simulateCVDRgb([vec4[0], vec4[1], vec4[2]], type, severity);
+
+			return vec4ToColour([simRgb[0], simRgb[1], simRgb[2], vec4[3]]);
+		}
+
+		local rgb = HSLuv.hsluvToRgb([colour[0], colour[1], colour[2]]);
+		local hsl = HSLuv.rgbToHsluv(simulateCVDRgb(rgb, type, severity));
+
+		if (colour.length > 3) hsl.push(colour[3]);
+
+		return hsl;
+	}
+
+
+	// ===========================
+	// Colour space selection
+	// Lets palette code work on [H, S, L] arrays and pick the space they live in:
+	//   "hsluv" (default), "hpluv" or "oklch" (see hslToOklch)
+	// ===========================
+
+	// ---------------------------
+	// toColourInSpace: [H,S,L] in colourSpace -> uint32
+	// ---------------------------
+	inline function toColourInSpace(HSL, colourSpace) {
+		if (colourSpace == "oklch") return HSLuv.oklchToColour(HSLuv.hslToOklch(HSL));
+		if (colourSpace == "hpluv") return HSLuv.hpluvToColour(HSL);
+
+		return HSLuv.toColour(HSL);
+	}
+
+	// ---------------------------
+	// fromColourInSpace: uint32 -> [H,S,L] in colourSpace
+	// ---------------------------
+	inline function fromColourInSpace(colour, colourSpace) {
+		if (colourSpace == "oklch") return HSLuv.oklchToHsl(HSLuv.oklchFromColour(colour));
+		if (colourSpace == "hpluv") return HSLuv.hpluvFromColour(colour);
+
+		return HSLuv.fromColour(colour);
+	}
+
+
+	// ===========================
+	// Interpolation and gradients
+	// Colours can be HSLuv arrays ([H,S,L] or [H,S,L,A]) or HISE uint32 colours.
+	// options (all optional):
+	//   space: "hsluv" (default), "lch" or "luv"
+	//   hue:   "shorter" (default), "longer", "increasing" or "decreasing"
+	// Alpha is interpolated premultiplied, so a transparent end doesn't bleed its
+	// colour into the mix, and greys / transparent colours take the other hue.
+	// ===========================
+
+	// ---------------------------
+	// getOption: options[key] if it is set, otherwise defaultValue
+	// ---------------------------
+	inline function getOption(options, key, defaultValue) {
+		if (isDefined(options) && isDefined(options[key])) return options[key];
+		return defaultValue;
+	}
+
+	// ---------------------------
+	// toHsla: HSLuv array or uint32 colour -> [H,S,L,A]
+	// ---------------------------
+	inline function toHsla(colour) {
+		if (typeof colour == "number") return HSLuv.fromColourWithAlpha(colour);
+		if (colour.length > 3) return [colour[0], colour[1], colour[2], colour[3]];
+
+		return [colour[0], colour[1], colour[2], 1.0];
+	}
+
+	// ---------------------------
+	// interpolateHue: degrees, going round the wheel in the given direction
+	// ---------------------------
+	inline function interpolateHue(h1, h2, t, direction) {
+		local a = Math.fmod(Math.fmod(h1, 360.0) + 360.0, 360.0);
+		local b = Math.fmod(Math.fmod(h2, 360.0) + 360.0, 360.0);
+		local d = b - a;
+
+		if (direction == "longer") {
+			if (d > 0.0 && d < 180.0) d -= 360.0;
+			else if (d > -180.0 && d < 0.0) d += 360.0;
+		}
+		else if (direction == "increasing") {
+			if (d < 0.0) d += 360.0;
+		}
+		else if (direction == "decreasing") {
+			if (d > 0.0) d -= 360.0;
+		}
+		else {
+			if (d > 180.0) d -= 360.0;
+			else if (d < -180.0) d += 360.0;
+		}
+
+		return Math.fmod(a + d * t + 360.0, 360.0);
+	}
+
+	// ---------------------------
+	// mixWithOptions: interpolates from a (t = 0) to b (t = 1), returns [H,S,L,A]
+	// ---------------------------
+	inline function mixWithOptions(a, b, t, options) {
+		local c1 = toHsla(a);
+		local c2 = toHsla(b);
+		local space = getOption(options, "space", "hsluv");
+		local direction = getOption(options, "hue", "shorter");
+
+		t = Math.range(sanitize(t), 0.0, 1.0);
+
+		// premultiplied weights (w1 + w2 == 1)
+		local alpha = c1[3] + (c2[3] - c1[3]) * t;
+		local w1 = 1.0 - t;
+		local w2 = t;
+
+		if (alpha > EPS) {
+			w1 = c1[3] * (1.0 - t) / alpha;
+			w2 = c2[3] * t / alpha;
+		}
+
+		local lch1 = HSLuv.hsluvToLch(c1);
+		local lch2 = HSLuv.hsluvToLch(c2);
+		local lch;
+		local hslOut;
+
+		if (space == "luv") {
+			local luv1 = HSLuv.lchToLuv(lch1);
+			local luv2 = HSLuv.lchToLuv(lch2);
+
+			lch = HSLuv.luvToLch([w1 * luv1[0] + w2 * luv2[0], w1 * luv1[1] + w2 * luv2[1], w1 * luv1[2] + w2 * luv2[2]]);
+			hslOut = HSLuv.lchToHsluv(lch);
+
+			return [hslOut[0], hslOut[1], hslOut[2], alpha];
+		}
+
+		// hue is powerless for greys and fully transparent colours
+		local h1 = c1[0];
+		local h2 = c2[0];
+		local grey1 = (c1[1] < 1e-4 || lch1[1] < 1e-4 || c1[3] < EPS);
+		local grey2 = (c2[1] < 1e-4 || lch2[1] < 1e-4 || c2[3] < EPS);
+
+		if (grey1 && !grey2) h1 = h2;
+		if (grey2 && !grey1) h2 = h1;
+
+		local H = interpolateHue(h1, h2, t, direction);
+
+		if (space == "lch") {
+			lch = [w1 * lch1[0] + w2 * lch2[0], w1 * lch1[1] + w2 * lch2[1], H];
+			hslOut = HSLuv.lchToHsluv(lch);
+
+			return [H, hslOut[1], hslOut[2], alpha];
+		}
+
+		return [H, w1 * c1[1] + w2 * c2[1], w1 * c1[2] + w2 * c2[2], alpha];
+	}
+
+	// ---------------------------
+	// mix: mixWithOptions in HSLuv, shortest hue direction
+	// ---------------------------
+	inline function mix(a, b, t) {
+		return HSLuv.mixWithOptions(a, b, t, undefined);
+	}
+
+	// ---------------------------
+	// gradientWithOptions
+	// Samples `steps` evenly spaced uint32 colours through the evenly spaced stops
+	// ---------------------------
+	inline function gradientWithOptions(stops, steps, options) {
+		local colours = [];
+		local numStops = stops.length;
+
+		if (numStops == 0) return colours;
+
+		if (numStops == 1 || steps < 2) {
+			colours.push(HSLuv.toColourWithAlpha(toHsla(stops[0])));
+			return colours;
+		}
+
+		for (gradientIndex = 0; gradientIndex < steps; gradientIndex++) {
+			local pos = gradientIndex / (steps - 1) * (numStops - 1);
+			local segment = Math.min(Math.floor(pos), numStops - 2);
+
+			local hsla = HSLuv.mixWithOptions(stops[segment], stops[segment + 1], pos - segment, options);
+			colours.push(HSLuv.toColourWithAlpha(hsla));
+		}
+
+		return colours;
+	}
+
+	// ---------------------------
+	// gradient: gradientWithOptions in HSLuv, shortest hue direction
+	// ---------------------------
+	inline function gradient(stops, steps) {
+		return HSLuv.gradientWithOptions(stops, steps, undefined);
+	}
+
+	// ---------------------------
+	// toGradientFill
+	// Turns a list of uint32 colours into the array expected by g.setGradientFill:
+	// [c1, x1, y1, cN, x2, y2, isRadial, c2, pos2, c3, pos3, ...]
+	// with the inner colours evenly spaced between the two end points
+	// Returns undefined (and prints the reason) for an empty list
+	// ---------------------------
+	inline function toGradientFill(colours, x1, y1, x2, y2, isRadial) {
+		local n = colours.length;
+
+		if (n == 0) {
+			reportError("toGradientFill", "no colours to fill with");
+			return undefined;
+		}
+		local fill = [colours[0], x1, y1, colours[n - 1], x2, y2, isRadial];
+
+		for (i = 1; i < n - 1; i++) {
+			fill.push(colours[i]);
+			fill.push(i / (n - 1));
+		}
+
+		return fill;
+	}
+
+
+	// ===========================
+	// HISE functions: hex / CSS colour strings
+	// Malformed input prints a message to the console and returns undefined
+	// ===========================
+
+	const HEX_DIGITS = "0123456789abcdef";
+
+	// ---------------------------
+	// byteToHex: 0-255 -> "00"-"ff"
+	// ---------------------------
+	inline function byteToHex(v) {
+		local b = Math.range(Math.round(sanitize(v)), 0, 255);
+
+		return HEX_DIGITS.charAt(Math.floor(b / 16)) + HEX_DIGITS.charAt(b % 16);
+	}
+
+	// ---------------------------
+	// hexToColour
+	// Accepts "#rgb", "#rgba", "#rrggbb" or "#rrggbbaa" (the "#" is optional)
+	// Returns uint32 value for HISE "Colours" format, or undefined if malformed
+	// ---------------------------
+	inline function hexToColour(hex) {
+		local s = ("" + hex).trim().toLowerCase();
+
+		if (s.charAt(0) == "#") s = s.substring(1, s.length);
+
+		local n = s.length;
+
+		if (n != 3 && n != 4 && n != 6 && n != 8) {
+			reportError("hexToColour", "\"" + hex + "\" must have 3, 4, 6 or 8 hex digits");
+			return undefined;
+		}
+
+		local digits = [];
+
+		for (i = 0; i < n; i++) {
+			local d = HEX_DIGITS.indexOf(s.charAt(i));
+
+			if (d == -1) {
+				reportError("hexToColour", "\"" + hex + "\" contains a non-hex character '" + s.charAt(i) + "'");
+				return undefined;
+			}
+
+			digits.push(d);
+		}
+
+		// short forms repeat each digit ("#f80" == "#ff8800")
+		local vec4 = [1.0, 1.0, 1.0, 1.0];
+		local channels = (n == 3 || n == 6) ? 3 : 4;
+		local width = (n <= 4) ? 1 : 2;
+
+		for (i = 0; i < channels; i++) {
+			if (width == 1) vec4[i] = (digits[i] * 17) / 255.0;
+			else vec4[i] = (digits[i * 2] * 16 + digits[i * 2 + 1]) / 255.0;
+		}
+
+		return Colours.fromVec4(vec4);
+	}
+
+	// ---------------------------
+	// colourToHex
+	// Returns "#rrggbb", or "#rrggbbaa" if withAlpha is true
+	// ---------------------------
+	inline function colourToHex(colour, withAlpha) {
+		local vec4 = Colours.toVec4(colour);
+		local hex = "#" + byteToHex(vec4[0] * 255.0) + byteToHex(vec4[1] * 255.0) + byteToHex(vec4[2] * 255.0);
+
+		if (withAlpha) hex = hex + byteToHex(vec4[3] * 255.0);
+
+		return hex;
+	}
+
+	// ---------------------------
+	// toHex: [H,S,L] -> "#rrggbb"
+	// ---------------------------
+	inline function toHex(HSL) {
+		return colourToHex(HSLuv.toColour(HSL), false);
+	}
+
+	// ---------------------------
+	// toHexWithAlpha: [H,S,L,A] -> "#rrggbbaa"
+	// ---------------------------
+	inline function toHexWithAlpha(HSLA) {
+		return colourToHex(HSLuv.toColourWithAlpha(HSLA), true);
+	}
+
+	// ---------------------------
+	// fromHex: "#rrggbb" -> [H,S,L] (any alpha digits are ignored)
+	// ---------------------------
+	inline function fromHex(hex) {
+		local colour = hexToColour(hex);
+
+		if (!isDefined(colour)) return undefined;
+
+		return HSLuv.fromColour(colour);
+	}
+
+	// ---------------------------
+	// fromHexWithAlpha: "#rrggbbaa" -> [H,S,L,A] (A is 1.0 if the string has no alpha)
+	// ---------------------------
+	inline function fromHexWithAlpha(hex) {
+		local colour = hexToColour(hex);
+
+		if (!isDefined(colour)) return undefined;
+
+		return HSLuv.fromColourWithAlpha(colour);
+	}
+
+	// ---------------------------
+	// splitArguments: "33, 150 243 / 50%" -> ["33", "150", "243", "50%"]
+	// (commas, whitespace and "/" all separate arguments)
+	// ---------------------------
+	inline function splitArguments(s) {
+		local args = [];
+		local token = "";
+
+		for (i = 0; i < s.length; i++) {
+			local ch = s.charAt(i);
+
+			if (ch == "," || ch == " " || ch == "\t" || ch == "/") {
+				if (token.length > 0) args.push(token);
+				token = "";
+			}
+			else {
+				token = token + ch;
+			}
+		}
+
+		if (token.length > 0) args.push(token);
+
+		return args;
+	}
+
+	// ---------------------------
+	// parseComponent: "150" -> 150, "50%" -> percentScale * 0.5
+	// Returns undefined if the token is not a plain decimal number
+	// ---------------------------
+	inline function parseComponent(token, percentScale) {
+		local s = token;
+		local isPercent = s.charAt(s.length - 1) == "%";
+
+		if (isPercent) s = s.substring(0, s.length - 1);
+
+		local hasDigit = false;
+
+		for (i = 0; i < s.length; i++) {
+			local ch = s.charAt(i);
+
+			if ("0123456789".indexOf(ch) != -1) hasDigit = true;
+			else if (".+-e".indexOf(ch) == -1) return undefined;
+		}
+
+		if (!hasDigit) return undefined;
+
+		local v = parseFloat(s);
+
+		if (Math.isnan(v) || Math.isinf(v)) return undefined;
+
+		return isPercent ? (v / 100.0) * percentScale : v;
+	}
+
+	// ---------------------------
+	// parse: CSS-style colour string -> [H,S,L,A]
+	// Accepts:
+	//   "#2196F3", "#2196F380", "#29f", "#29f8"
+	//   "rgb(33, 150, 243)", "rgba(33, 150, 243, 0.5)", "rgb(13% 59% 95% / 50%)"
+	//   "hsluv(200, 100, 75)", "hsluva(200, 100, 75, 0.5)"
+	//   "hpluv(200, 100, 75)", "hpluva(200, 100, 75, 0.5)"
+	// Returns undefined (and prints the reason) if the string is malformed
+	// ---------------------------
+	inline function parse(str) {
+		local s = ("" + str).trim().toLowerCase();
+
+		if (s.length == 0) {
+			reportError("parse", "empty colour string");
+			return undefined;
+		}
+
+		if (s.charAt(0) == "#") return fromHexWithAlpha(s);
+
+		local open = s.indexOf("(");
+
+		if (open <= 0 || s.charAt(s.length - 1) != ")") {
+			reportError("parse", "\"" + str + "\" is not a hex colour or a function like rgb(...) / hsluv(...)");
+			return undefined;
+		}
+
+		local name = s.substring(0, open).trim();
+		local args = splitArguments(s.substring(open + 1, s.length - 1));
+
+		if (args.length != 3 && args.length != 4) {
+			reportError("parse", "\"" + str + "\" must have 3 components plus an optional alpha, found " + args.length);
+			return undefined;
+		}
+
+		local isRgb = (name == "rgb" || name == "rgba");
+		local isHsluv = (name == "hsluv" || name == "hsluva");
+		local isHpluv = (name == "hpluv" || name == "hpluva");
+
+		if (!isRgb && !isHsluv && !isHpluv) {
+			reportError("parse", "unknown colour function \"" + name + "\" (expected rgb, rgba, hsluv, hsluva, hpluv or hpluva)");
+			return undefined;
+		}
+
+		local values = [0.0, 0.0, 0.0, 1.0];
+
+		for (c = 0; c < args.length; c++) {
+			local percentScale;
+
+			if (c == 3) percentScale = 1.0;
+			else if (isRgb) percentScale = 255.0;
+			else if (c == 0) percentScale = 360.0;
+			else percentScale = 100.0;
+
+			local v = parseComponent(args[c], percentScale);
+
+			if (!isDefined(v)) {
+				reportError("parse", "\"" + args[c] + "\" in \"" + str + "\" is not a number");
+				return undefined;
+			}
+
+			values[c] = v;
+		}
+
+		local alpha = Math.range(values[3], 0.0, 1.0);
+		local hsl;
+
+		if (isRgb) {
+			return HSLuv.fromColourWithAlpha(vec4ToColour([values[0] / 255.0, values[1] / 255.0, values[2] / 255.0, alpha]));
+		}
+
+		if (isHpluv) {
+			hsl = HSLuv.lchToHsluv(HSLuv.hpluvToLch(values));
+		}
+		else {
+			hsl = [values[0], values[1], values[2]];
+		}
+
+		return [Math.fmod(Math.fmod(hsl[0], 360.0) + 360.0, 360.0), Math.range(hsl[1], 0.0, 100.0), Math.range(hsl[2], 0.0, 100.0), alpha];
+	}
+
+
+	// ===========================
+	// Compositing and blend modes
+	// Colours can be HSLuv arrays ([H,S,L] or [H,S,L,A]) or HISE uint32 colours,
+	// results are [H,S,L,A]. fg is drawn on top of bg.
+	// options (all optional):
+	//   space: "linear" (default) composites in linear RGB, where light adds up
+	//          physically. "srgb" composites the gamma encoded values instead, which
+	//          is what HISE's own renderer does when it draws translucent colours.
+	// Blend modes follow the W3C compositing spec: the blend function works on
+	// sRGB values (like CSS and image editors), then the result is composited
+	// source-over in the chosen space.
+	// ===========================
+
+	const BLEND_MODES = ["normal", "multiply", "screen", "overlay", "softLight", "darken", "lighten"];
+
+	// ---------------------------
+	// toRgba: HSLuv array or uint32 colour -> [R,G,B,A] (sRGB, 0..1, always exact)
+	// ---------------------------
+	inline function toRgba(colour) {
+		if (typeof colour == "number") return Colours.toVec4(colour);
+
+		local rgb = HSLuv.hsluvToRgb(colour);
+
+		return [rgb[0], rgb[1], rgb[2], colour.length > 3 ? Math.range(sanitize(colour[3]), 0.0, 1.0) : 1.0];
+	}
+
+	// ---------------------------
+	// blendChannel: W3C separable blend function B(cb, cs) for one sRGB channel
+	// (cb = backdrop, cs = source)
+	// ---------------------------
+	inline function blendChannel(cb, cs, mode) {
+		if (mode == "multiply") return cb * cs;
+		if (mode == "screen") return cb + cs - cb * cs;
+		if (mode == "darken") return Math.min(cb, cs);
+		if (mode == "lighten") return Math.max(cb, cs);
+
+		if (mode == "overlay") {
+			// hard light with source and backdrop swapped
+			if (cb <= 0.5) return cs * 2.0 * cb;
+
+			local screened = 2.0 * cb - 1.0;
+			return cs + screened - cs * screened;
+		}
+
+		if (mode == "softLight") {
+			if (cs <= 0.5) return cb - (1.0 - 2.0 * cs) * cb * (1.0 - cb);
+
+			local d = (cb <= 0.25) ? ((16.0 * cb - 12.0) * cb + 4.0) * cb : Math.sqrt(cb);
+			return cb + (2.0 * cs - 1.0) * (d - cb);
+		}
+
+		return cs; // normal
+	}
+
+	// ---------------------------
+	// blendWithOptions: fg blended onto bg with a blend mode (see BLEND_MODES)
+	// Returns undefined (and prints the reason) for an unknown mode
+	// ---------------------------
+	inline function blendWithOptions(fg, bg, mode, options) {
+		if (BLEND_MODES.indexOf(mode) == -1) {
+			reportError("blend", "unknown blend mode \"" + mode + "\" (expected " + BLEND_MODES.join(", ") + ")");
+			return undefined;
+		}
+
+		local isLinear = getOption(options, "space", "linear") != "srgb";
+		local src = toRgba(fg);
+		local dst = toRgba(bg);
+		local alphaS = src[3];
+		local alphaB = dst[3];
+		local alpha = alphaS + alphaB * (1.0 - alphaS);
+
+		if (alpha < EPS) return [0.0, 0.0, 0.0, 0.0];
+
+		local rgb = [0.0, 0.0, 0.0];
+
+		for (blendIndex = 0; blendIndex < 3; blendIndex++) {
+			local cs = src[blendIndex];
+			local cb = dst[blendIndex];
+			local blended = blendChannel(cb, cs, mode);
+
+			if (isLinear) {
+				cs = srgbInverseCompanding(cs);
+				cb = srgbInverseCompanding(cb);
+				blended = srgbInverseCompanding(blended);
+			}
+
+			// the blend only applies where there is a backdrop, then source-over
+			local mixed = (1.0 - alphaB) * cs + alphaB * blended;
+			local co = (alphaS * mixed + alphaB * (1.0 - alphaS) * cb) / alpha;
+
+			rgb[blendIndex] = isLinear ? clamp01(srgbCompanding(co)) : clamp01(co);
+		}
+
+		local hsl = HSLuv.rgbToHsluv(rgb);
+
+		return [hsl[0], hsl[1], hsl[2], alpha];
+	}
+
+	// ---------------------------
+	// blend: blendWithOptions, composited in linear RGB
+	// ---------------------------
+	inline function blend(fg, bg, mode) {
+		return HSLuv.blendWithOptions(fg, bg, mode, undefined);
+	}
+
+	// ---------------------------
+	// compositeWithOptions: fg over bg (source-over, "normal" blend mode)
+	// ---------------------------
+	inline function compositeWithOptions(fg, bg, options) {
+		return HSLuv.blendWithOptions(fg, bg, "normal", options);
+	}
+
+	// ---------------------------
+	// composite: fg over bg, source-over in linear RGB
+	// ---------------------------
+	inline function composite(fg, bg) {
+		return HSLuv.blendWithOptions(fg, bg, "normal", undefined);
+	}
+
+	// ---------------------------
+	// flatten: composites a stack of layers, bottom (layers[0]) to top -> [H,S,L,A]
+	// e.g. flatten([panel, glass, hoverOverlay]) is what the user sees of the overlay
+	// ---------------------------
+	inline function flatten(layers) {
+		if (!isDefined(layers) || layers.length == 0) {
+			reportError("flatten", "no layers to composite");
+			return undefined;
+		}
+
+		local result = toHsla(layers[0]);
+
+		for (flattenIndex = 1; flattenIndex < layers.length; flattenIndex++)
+			result = HSLuv.composite(layers[flattenIndex], result);
+
+		return result;
+	}
+
+	// ---------------------------
+	// isTranslucent: true for an [H,S,L,A] or uint32 colour with alpha below 1
+	// ---------------------------
+	inline function isTranslucent(colour) {
+		if (typeof colour == "number") return Colours.toVec4(colour)[3] < 1.0;
+
+		return colour.length > 3 && colour[3] < 1.0;
+	}
+
+	// ---------------------------
+	// checkOpaqueBackground: true if bg can be measured against. A translucent bg has no
+	// single contrast (it depends on what is behind it), so this prints why, under the
+	// caller's name, and returns false; the contrast functions then return undefined.
+	// ---------------------------
+	inline function checkOpaqueBackground(functionName, bg) {
+		if (!isTranslucent(bg)) return true;
+
+		Console.print(functionName + ": the background is translucent, flatten it onto its backdrop first (HSLuv.flatten)");
+		return false;
+	}
+
+	// ---------------------------
+	// effectiveColour: what a foreground looks like on bg. A translucent [H,S,L,A] or
+	// uint32 is composited over bg (-> [H,S,L,A]), anything else is returned as it is.
+	// ---------------------------
+	inline function effectiveColour(fg, bg) {
+		if (isTranslucent(fg)) return HSLuv.composite(fg, bg);
+
+		return fg;
+	}
+
+	// ---------------------------
+	// tint: mixes the colour towards white in HSLuv (amount 0..1), keeps hue and alpha
+	// ---------------------------
+	inline function tint(colour, amount) {
+		local hsla = toHsla(colour);
+
+		return HSLuv.mix(hsla, [hsla[0], 0.0, 100.0, hsla[3]], amount);
+	}
+
+	// ---------------------------
+	// shade: mixes the colour towards black in HSLuv (amount 0..1), keeps hue and alpha
+	// ---------------------------
+	inline function shade(colour, amount) {
+		local hsla = toHsla(colour);
+
+		return HSLuv.mix(hsla, [hsla[0], 0.0, 0.0, hsla[3]], amount);
+	}
+
+
+	// ===========================
+	// Batch conversion
+	// For colour maps that are rebuilt every frame (spectrum analysers, meter segments).
+	// The scalar chain below does the same maths as hsluvToRgb / rgbToHsluv, but keeps
+	// every intermediate value in locals, so converting a list does not allocate one
+	// array per step and colour. Batch conversions are always exact (cache mode is ignored).
+	// ===========================
+
+	const REF_U = 4.0 * REF_X / (REF_X + 15.0 * REF_Y + 3.0 * REF_Z);
+	const REF_V = 9.0 * REF_Y / (REF_X + 15.0 * REF_Y + 3.0 * REF_Z);
+
+	// scratch [R,G,B] / [H,S,L] for the batch loops (overwritten on every call)
+	const batchScratch = [0.0, 0.0, 0.0];
+
+	// ---------------------------
+	// maxChromaScalar: maxChromaForLH without building the bounds array
+	// ---------------------------
+	inline function maxChromaScalar(L, H) {
+		local hRad = Math.toRadians(H);
+		local sinH = Math.sin(hRad);
+		local cosH = Math.cos(hRad);
+		local minLength = 1e10;
+
+		local sub1 = Math.pow((L + 16.0) / 116.0, 3.0);
+		local sub2 = sanitize((sub1 > E) ? sub1 : (L / K));
+
+		if (Math.abs(sub2) < EPS) return minLength;
+
+		for (boundRow = 0; boundRow < 3; boundRow = boundRow + 1) {
+			local mc0 = BOUNDS_M[boundRow][0];
+			local mc1 = BOUNDS_M[boundRow][1];
+			local mc2 = BOUNDS_M[boundRow][2];
+
+			local top1 = (284517.0 * mc0 - 94839.0 * mc2) * sub2;
+
+			for (boundT = 0; boundT < 2; boundT = boundT + 1) {
+				local top2 = (838422.0 * mc2 + 769860.0 * mc1 + 731718.0 * mc0) * sub2 * L - 769860.0 * boundT * L;
+				local bottom = sanitize((632260.0 * mc2 - 126452.0 * mc1) * sub2 + 126452.0 * boundT);
+
+				if (Math.abs(bottom) < EPS) continue;
+
+				local slope = top1 / bottom;
+				local intercept = top2 / bottom;
+
+				if (Math.isnan(slope) || Math.isinf(slope) || Math.isnan(intercept) || Math.isinf(intercept)) continue;
+
+				local length = intercept / (sinH - slope * cosH);
+
+				if (length >= 0 && length < minLength) minLength = length;
+			}
+		}
+
+		return minLength;
+	}
+
+	// ---------------------------
+	// hsluvToRgbInto: writes R, G, B (0..1) to out[offset], out[offset + 1], out[offset + 2]
+	// out can be an Array or a Buffer. Returns out.
+	// ---------------------------
+	inline function hsluvToRgbInto(H_in, S_in, L_in, out, offset) {
+		local H = sanitize(H_in);
+		local S = Math.range(sanitize(S_in), 0.0, 100.0);
+		local L = sanitize(L_in);
+		local C = 0.0;
+
+		// HSLuv -> LCh
+		if (L >= EPS && L <= 99.99999) {
+			local maxC = maxChromaScalar(L, H);
+
+			if (maxC > EPS) C = sanitize(maxC * (S / 100.0));
+		}
+
+		// LCh -> Luv -> XYZ
+		local hRad = Math.toRadians(H);
+		local U = REF_U;
+		local V = REF_V;
+		local Y;
+
+		if (L <= 8) Y = L * REF_Y / 903.3;
+		else Y = Math.pow((L + 16) / 116, 3) * REF_Y;
+
+		if (L >= EPS) {
+			U = sanitize(C * Math.cos(hRad)) / (13.0 * L) + REF_U;
+			V = sanitize(C * Math.sin(hRad)) / (13.0 * L) + REF_V;
+		}
+
+		local denom = 4.0 * V;
+		if (Math.abs(denom) < EPS) denom = EPS;
+
+		local X = sanitize(Y * 9.0 * U / denom);
+		local Z = sanitize(Y * (12.0 - 3.0 * U - 20.0 * V) / denom);
+		Y = sanitize(Y);
+
+		// XYZ -> RGB
+		out[offset] = clamp01(sanitize(srgbCompanding(X * M00 + Y * M01 + Z * M02)));
+		out[offset + 1] = clamp01(sanitize(srgbCompanding(X * M10 + Y * M11 + Z * M12)));
+		out[offset + 2] = clamp01(sanitize(srgbCompanding(X * M20 + Y * M21 + Z * M22)));
+
+		return out;
+	}
+
+	// ---------------------------
+	// rgbToHsluvInto: writes H, S, L to out[offset], out[offset + 1], out[offset + 2]
+	// out can be an Array or a Buffer. Returns out.
+	// ---------------------------
+	inline function rgbToHsluvInto(R, G, B, out, offset) {
+		// RGB -> XYZ
+		local rLin = srgbInverseCompanding(sanitize(R));
+		local gLin = srgbInverseCompanding(sanitize(G));
+		local bLin = srgbInverseCompanding(sanitize(B));
+
+		local x = sanitize(rLin * 0.4124564 + gLin * 0.3575761 + bLin * 0.1804375);
+		local y = sanitize(rLin * 0.2126729 + gLin * 0.7151522 + bLin * 0.0721750);
+		local z = sanitize(rLin * 0.0193339 + gLin * 0.1191920 + bLin * 0.9503041);
+
+		// XYZ -> Luv
+		local L = 0.0;
+		local u = 0.0;
+		local v = 0.0;
+		local denom = x + 15.0 * y + 3.0 * z;
+
+		if (Math.abs(denom) >= EPS) {
+			local Yr = y / REF_Y;
+
+			if (Yr > E) L = 116.0 * Math.pow(Yr, 1.0 / 3.0) - 16.0;
+			else L = K * Yr;
+
+			u = sanitize(13.0 * L * (4.0 * x / denom - REF_U));
+			v = sanitize(13.0 * L * (9.0 * y / denom - REF_V));
+			L = sanitize(L);
+		}
+
+		// Luv -> LCh
+		local C = sanitize(Math.sqrt(u * u + v * v));
+		local H = Math.toDegrees(myAtan2(v, u));
+
+		if (H < 0.0) H = H + 360.0;
+		H = sanitize(H);
+
+		// LCh -> HSLuv
+		local S = 0.0;
+
+		if (L >= EPS && L <= 99.99999) {
+			local maxC = maxChromaScalar(L, H);
+
+			if (maxC > EPS) S = Math.range(sanitize((C / maxC) * 100.0), 0.0, 100.0);
+		}
+
+		out[offset] = H;
+		out[offset + 1] = S;
+		out[offset + 2] = L;
+
+		return out;
+	}
+
+	// ---------------------------
+	// packColour: R, G, B, A (0..1) -> uint32, same rounding as vec4ToColour
+	// ---------------------------
+	inline function packColour(r, g, b, a) {
+		local r8 = Math.round(Math.range(sanitize(r), 0.0, 1.0) * 255.0);
+		local g8 = Math.round(Math.range(sanitize(g), 0.0, 1.0) * 255.0);
+		local b8 = Math.round(Math.range(sanitize(b), 0.0, 1.0) * 255.0);
+		local a8 = Math.round(Math.range(sanitize(a), 0.0, 1.0) * 255.0);
+
+		return a8 * 16777216.0 + r8 * 65536.0 + g8 * 256.0 + b8;
+	}
+
+	// ---------------------------
+	// toVec4Into: toVec4 written into out ([R,G,B,A], alpha 1.0). Returns out.
+	// ---------------------------
+	inline function toVec4Into(HSL, out) {
+		hsluvToRgbInto(HSL[0], HSL[1], HSL[2], out, 0);
+		out[3] = 1.0;
+
+		return out;
+	}
+
+	// ---------------------------
+	// fromColourInto: fromColour written into out ([H,S,L]). Returns out.
+	// ---------------------------
+	inline function fromColourInto(colour, out) {
+		local value = colour;
+		if (value < 0) value = value + 4294967296.0;
+
+		local r = Math.floor(value / 65536.0) % 256;
+		local g = Math.floor(value / 256.0) % 256;
+		local b = Math.floor(value) % 256;
+
+		rgbToHsluvInto(r / 255.0, g / 255.0, b / 255.0, out, 0);
+
+		// same clamping as fromColour
+		out[0] = Math.range(out[0], 0.0, 360.0);
+		out[1] = Math.range(out[1], 0.0, 100.0);
+		out[2] = Math.range(out[2], 0.0, 100.0);
+
+		return out;
+	}
+
+	// ---------------------------
+	// toColourArrayInto: list of [H,S,L] or [H,S,L,A] -> uint32 colours written to output[0 .. list.length - 1]
+	// Reuse the same output array every frame; it only grows when the list does. Returns output.
+	// ---------------------------
+	inline function toColourArrayInto(list, output) {
+		for (batchIndex = 0; batchIndex < list.length; batchIndex++) {
+			local entry = list[batchIndex];
+			local alpha = entry.length > 3 ? entry[3] : 1.0;
+
+			hsluvToRgbInto(entry[0], entry[1], entry[2], batchScratch, 0);
+			output[batchIndex] = packColour(batchScratch[0], batchScratch[1], batchScratch[2], alpha);
+		}
+
+		return output;
+	}
+
+	// ---------------------------
+	// toColourArray: list of [H,S,L] or [H,S,L,A] -> new array of uint32 colours
+	// ---------------------------
+	inline function toColourArray(list) {
+		return toColourArrayInto(list, []);
+	}
+
+	// ---------------------------
+	// Buffer layout for the functions below: interleaved triples
+	//   [H0, S0, L0, H1, S1, L1, ...]  or  [R0, G0, B0, R1, G1, B1, ...] (RGB 0..1)
+	// A trailing partial triple is left untouched.
+	// ---------------------------
+
+	// ---------------------------
+	// toRgbBuffer: converts a Buffer of HSLuv triples to RGB, in place. Returns the buffer.
+	// ---------------------------
+	inline function toRgbBuffer(buffer) {
+		local count = Math.floor(buffer.length / 3);
+
+		for (batchIndex = 0; batchIndex < count; batchIndex++) {
+			local offset = batchIndex * 3;
+
+			hsluvToRgbInto(buffer[offset], buffer[offset + 1], buffer[offset + 2], buffer, offset);
+		}
+
+		return buffer;
+	}
+
+	// ---------------------------
+	// fromRgbBuffer: converts a Buffer of RGB triples to HSLuv, in place. Returns the buffer.
+	// ---------------------------
+	inline function fromRgbBuffer(buffer) {
+		local count = Math.floor(buffer.length / 3);
+
+		for (batchIndex = 0; batchIndex < count; batchIndex++) {
+			local offset = batchIndex * 3;
+
+			rgbToHsluvInto(buffer[offset], buffer[offset + 1], buffer[offset + 2], buffer, offset);
+		}
+
+		return buffer;
+	}
+
+	// ---------------------------
+	// bufferToColourArray: Buffer of HSLuv triples -> uint32 colours in output (alpha 1.0)
+	// Buffers hold 32 bit floats, which can't store a uint32 colour exactly, so colours
+	// always go to an Array. Pass the same output every frame to avoid allocating. Returns output.
+	// ---------------------------
+	inline function bufferToColourArray(buffer, output) {
+		local count = Math.floor(buffer.length / 3);
+
+		for (batchIndex = 0; batchIndex < count; batchIndex++) {
+			local offset = batchIndex * 3;
+
+			hsluvToRgbInto(buffer[offset], buffer[offset + 1], buffer[offset + 2], batchScratch, 0);
+			output[batchIndex] = packColour(batchScratch[0], batchScratch[1], batchScratch[2], 1.0);
+		}
+
+		return output;
+	}
+
+
+	// ===========================
+	// Cache mode
+	// Speeds up paint routines that convert the same (or nearly the same) colours
+	// over and over. toVec4 / toColour / toColourWithAlpha (and everything built on
+	// them) snap H, S and L to colourStep, so results can be off by half a step.
+	// ===========================
+
+	// ---------------------------
+	// clearCache: empties both tables and resets the hit / miss counters
+	// ---------------------------
+	inline function clearCache() {
+		cache.bounds = {};
+		cache.boundsCount = 0;
+		cache.colours = {};
+		cache.coloursCount = 0;
+		cache.hits = 0;
+		cache.misses = 0;
+	}
+
+	// ---------------------------
+	// setCacheMode: options (all optional)
+	//   enabled:    default true
+	//   colourStep: H / S / L quantisation of the colour table, default 0.5 (0 = exact, no quantising)
+	//   boundsStep: L quantisation of the gamut bounds table, default 0.01 (0 = exact)
+	//   maxEntries: per table memory limit, default 4096
+	// Changing the mode clears both tables.
+	// ---------------------------
+	inline function setCacheMode(options) {
+		cache.enabled = getOption(options, "enabled", true);
+		cache.colourStep = getOption(options, "colourStep", 0.5);
+		cache.boundsStep = getOption(options, "boundsStep", 0.01);
+		cache.maxEntries = Math.max(1, getOption(options, "maxEntries", 4096));
+
+		clearCache();
+	}
+
+	// ---------------------------
+	// getCacheStats: { enabled, colours, bounds, hits, misses } (table sizes and colour table hits)
+	// ---------------------------
+	inline function getCacheStats() {
+		return { enabled: cache.enabled, colours: cache.coloursCount, bounds: cache.boundsCount, hits: cache.hits, misses: cache.misses };
+	}
+
+} // end namespace HSLuv
+
+
+
+
+
+
+// ************* HSLuv Tools **************** //
+// HSLuv = [H, S, L];
+
+// --- Utility: sRGB to linear
+inline function toLinear(c) {
+	return (c <= 0.04045) ? (c / 12.92) : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// --- Compute relative luminance (Lv) from HSLuv input
+inline function getLuminance(hsluv) {
+    local vec4 = HSLuv.toVec4(hsluv); // vec4 = [r,g,b,a] 
+    local r = toLinear(vec4[0]);
+    local g = toLinear(vec4[1]);
+    local b = toLinear(vec4[2]);
+
+    // Rec. 709 luminance weights
+    local Lv = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+	return Lv; // 0-1
+}
+
+// --- Contrast ratio between two HSLuv colours
+// --- A translucent hsluv1 ([H, S, L, A]) is composited over hsluv2 first (HSLuv.effectiveColour).
+// --- A translucent hsluv2 has no single contrast (it depends on what is behind it): that is
+// --- reported and undefined returned. Flatten it onto its backdrop with HSLuv.flatten first.
+inline function getContrast(hsluv1, hsluv2) {
+    if (!HSLuv.checkOpaqueBackground("getContrast", hsluv2)) return undefined;
+
+    local Lv1 = getLuminance(HSLuv.effectiveColour(hsluv1, hsluv2));
+    local Lv2 = getLuminance(hsluv2);
+
+    local L1 = Math.max(Lv1, Lv2);
+    local L2 = Math.min(Lv1, Lv2);
+
+	return (L1 + 0.05) / (L2 + 0.05); // WCAG contrast ratio
+}
+
+// --- Choose black or white (as HSLuv arrays) for high contrast
+inline function chooseHighContrastBW(hsluv) {
+    local Lv = getLuminance(hsluv);
+
+	// Return black or white in HSLuv
+	return (Lv > 0.5) ? [0, 0, 0] : [0, 0, 100];
+}
+
+// --- chooseHighContrastBW for a translucent colour ([H, S, L, A]) drawn over backdrop
+inline function chooseHighContrastBWOver(hsluv, backdrop) {
+	return chooseHighContrastBW(HSLuv.composite(hsluv, backdrop));
+}
+
+// ************* APCA (WCAG 3 draft) **************** //
+// APCA-W3 0.0.98G-4g: https://github.com/Myndex/apca-w3
+// Lc is signed: positive for dark text on a light background, negative for light
+// text on a dark background. |Lc| runs from 0 to about 106 (black on white).
+
+// --- APCA screen luminance (simple 2.4 exponent + soft clamp for near-black)
+inline function getLuminanceAPCA(hsluv) {
+	local vec4 = HSLuv.toVec4(hsluv);
+	local Y = 0.2126729 * Math.pow(vec4[0], 2.4) + 0.7151522 * Math.pow(vec4[1], 2.4) + 0.0721750 * Math.pow(vec4[2], 2.4);
+
+	if (Y < 0.022) Y += Math.pow(0.022 - Y, 1.414);
+
+	return Y;
+}
+
+// --- APCA lightness contrast Lc of text on a background (order matters!)
+// --- Translucent text ([H, S, L, A]) is composited over the background first.
+// --- A translucent background is reported and undefined returned, as in getContrast.
+inline function getContrastAPCA(textHsluv, bgHsluv) {
+	if (!HSLuv.checkOpaqueBackground("getContrastAPCA", bgHsluv)) return undefined;
+
+	local Ytxt = getLuminanceAPCA(HSLuv.effectiveColour(textHsluv, bgHsluv));
+	local Ybg = getLuminanceAPCA(bgHsluv);
+
+	if (Math.abs(Ybg - Ytxt) < 0.0005) return 0.0;
+
+	local SAPC;
+
+	// normal polarity: dark text on light background
+	if (Ybg > Ytxt) {
+		SAPC = (Math.pow(Ybg, 0.56) - Math.pow(Ytxt, 0.57)) * 1.14;
+		return (SAPC < 0.1) ? 0.0 : (SAPC - 0.027) * 100.0;
+	}
+
+	// reverse polarity: light text on dark background
+	SAPC = (Math.pow(Ybg, 0.65) - Math.pow(Ytxt, 0.62)) * 1.14;
+	return (SAPC > -0.1) ? 0.0 : (SAPC + 0.027) * 100.0;
+}
+
+// --- Choose black or white (as HSLuv arrays) for the highest APCA contrast
+inline function chooseHighContrastBWAPCA(hsluv) {
+	local blackLc = Math.abs(getContrastAPCA([0, 0, 0], hsluv));
+	local whiteLc = Math.abs(getContrastAPCA([0, 0, 100], hsluv));
+
+	return (blackLc > whiteLc) ? [0, 0, 0] : [0, 0, 100];
+}
+
+// --- chooseHighContrastBWAPCA for a translucent colour ([H, S, L, A]) drawn over backdrop
+inline function chooseHighContrastBWAPCAOver(hsluv, backdrop) {
+	return chooseHighContrastBWAPCA(HSLuv.composite(hsluv, backdrop));
+}
+
+// --- Minimum font sizes (px) per weight for an APCA Lc ("Bronze" simple mode)
+// --- Returns { level, usage, fonts: [[weight, minSize], ...] }; fonts is empty if
+// --- the contrast isn't enough for readable text
+inline function getAPCAFontGuideline(Lc) {
+	local absLc = Math.abs(Lc);
+
+	if (absLc >= 90) return { level: 90, usage: "Body text (preferred)", fonts: [[300, 18], [400, 14]] };
+	if (absLc >= 75) return { level: 75, usage: "Body text (minimum)", fonts: [[300, 24], [400, 18], [500, 16], [700, 14]] };
+	if (absLc >= 60) return { level: 60, usage: "Content text, labels", fonts: [[200, 48], [300, 36], [400, 24], [500, 21], [600, 18], [700, 16]] };
+	if (absLc >= 45) return { level: 45, usage: "Large text, headlines", fonts: [[400, 36], [700, 24]] };
+	if (absLc >= 30) return { level: 30, usage: "Spot text only (placeholders, disabled)", fonts: [] };
+	if (absLc >= 15) return { level: 15, usage: "Non-text elements only (dividers, outlines)", fonts: [] };
+
+	return { level: 0, usage: "Invisible / not usable", fonts: [] };
+}
+
+// --- Smallest font size (px) that is readable at Lc for a font weight (100-900),
+// --- or -1 if no size is recommended at that contrast / weight
+inline function getAPCAMinFontSize(Lc, weight) {
+	local fonts = getAPCAFontGuideline(Lc).fonts;
+	local minSize = -1;
+
+	// heavier weights may use the size listed for any lighter weight
+	for (i = 0; i < fonts.length; i++) {
+		if (fonts[i][0] <= weight) minSize = fonts[i][1];
+	}
+
+	return minSize;
+}
+
+// --- fg with its lightness replaced, keeping its alpha if it has one
+inline function withLightness(fg, L) {
+	if (fg.length > 3) return [fg[0], fg[1], L, fg[3]];
+
+	return [fg[0], fg[1], L];
+}
+
+// --- Find the lightness (0-100) of fg closest to fromL that meets targetRatio against bg,
+// --- searching only between fromL and toL. fromL must fail the target.
+// --- Returns -1 if toL itself doesn't reach it.
+inline function solveContrastLightness(fg, bg, targetRatio, fromL, toL) {
+	if (getContrast(withLightness(fg, toL), bg) < targetRatio) return -1;
+
+	// Contrast is NOT monotonic in L: it falls to 1 where fg's luminance meets bg's and
+	// rises again past it. Along fromL -> toL it is at worst such a valley, and fromL
+	// fails (ensureContrast only searches when it does) while toL passes (checked above),
+	// so there is exactly one fail -> pass crossing, the one closest to fromL, and
+	// bisecting between the two ends finds it.
+	local lo = fromL; // fails
+	local hi = toL;   // passes
+
+	for (iter = 0; iter < 24; iter++) {
+		local mid = (lo + hi) * 0.5;
+
+		if (getContrast(withLightness(fg, mid), bg) >= targetRatio) hi = mid;
+		else lo = mid;
+	}
+
+	return hi;
+}
+
+// --- Keep the hue and saturation of fg and move its lightness as little as possible until
+// --- it reaches targetRatio against bg (3.0, 4.5 or 7.0 for WCAG AA large / AA / AAA)
+// --- Returns { hsluv: [H, S, L] (plus A if fg has one), ratio, success }. If no lightness reaches the target,
+// --- success is false and hsluv is the best that can be done (the highest ratio).
+// --- Returns undefined for a translucent bg (see getContrast).
+inline function ensureContrast(fg, bg, targetRatio) {
+	if (!HSLuv.checkOpaqueBackground("ensureContrast", bg)) return undefined;
+
+	local result = { hsluv: withLightness(fg, fg[2]), ratio: getContrast(fg, bg), success: true };
+
+	if (result.ratio >= targetRatio) return result;
+
+	local lighter = solveContrastLightness(fg, bg, targetRatio, fg[2], 100.0);
+	local darker = solveContrastLightness(fg, bg, targetRatio, fg[2], 0.0);
+
+	if (lighter == -1 && darker == -1) {
+		local whiteRatio = getContrast(withLightness(fg, 100.0), bg);
+		local blackRatio = getContrast(withLightness(fg, 0.0), bg);
+
+		result.hsluv[2] = (whiteRatio > blackRatio) ? 100.0 : 0.0;
+		result.ratio = Math.max(whiteRatio, blackRatio);
+		result.success = false;
+		return result;
+	}
+
+	if (lighter == -1) result.hsluv[2] = darker;
+	else if (darker == -1) result.hsluv[2] = lighter;
+	else result.hsluv[2] = (Math.abs(lighter - fg[2]) <= Math.abs(fg[2] - darker)) ? lighter : darker;
+
+	result.ratio = getContrast(result.hsluv, bg);
+	return result;
+}
+
+
+// =====================
+// HSL transforms
+// =====================
+
+inline function rotateHue(HSL, degrees) {
+	local H = HSL[0];
+	local S = HSL[1];
+	local L = HSL[2];
+
+	local newH = Math.fmod(Math.fmod(H + degrees, 360.0) + 360.0, 360.0);
+
+	local newHSL = [newH, S, L];
+	return newHSL;
+}
+
+inline function invertHue(HSL) {
+	return rotateHue(HSL, 180);
+}
+
+inline function invertLightness(HSL) {
+	local H = HSL[0];
+	local S = HSL[1];
+	local L = HSL[2];
+	
+	local newL = 100.0 - L; // HSLuv L is 0-100
+
+	local newHSL = [H, S, newL];
+
+	return newHSL;
+}
+
+
+
+// =====================
+// Harmony
+// Colour harmonies built on rotateHue / invertHue. Every function takes an HSLuv
+// base [H, S, L] and returns an array of HSLuv colours, starting with the base.
+// Hue rotation in HSLuv keeps lightness equal by construction.
+// options (all optional):
+//   chroma: "saturation" (default) keeps the HSLuv saturation, which is always in
+//           gamut but means different absolute colourfulness per hue.
+//           "constant" keeps the base's LCh chroma on every hue and pulls it into
+//           gamut (HSLuv.mapToGamut "chroma") where a hue can't reach it.
+// =====================
+namespace Harmony {
+
+	// ---------------------------
+	// rotate: base rotated by degrees, honouring options.chroma
+	// ---------------------------
+	inline function rotate(base, degrees, options) {
+		local rotated = rotateHue(base, degrees);
+
+		if (HSLuv.getOption(options, "chroma", "saturation") != "constant") return rotated;
+
+		local baseC = HSLuv.hsluvToLch(base)[1];
+		local lch = HSLuv.mapToGamut([base[2], baseC, rotated[0]], "chroma");
+
+		return HSLuv.lchToHsluv(lch);
+	}
+
+	// ---------------------------
+	// complementary: base + 180
+	// ---------------------------
+	inline function complementary(base, options) {
+		if (HSLuv.getOption(options, "chroma", "saturation") != "constant") return [base, invertHue(base)];
+
+		return [base, rotate(base, 180, options)];
+	}
+
+	// ---------------------------
+	// analogous: options.count colours (default 3) options.spread degrees apart
+	// (default 30), centred on the base
+	// ---------------------------
+	inline function analogous(base, options) {
+		local count = HSLuv.getOption(options, "count", 3);
+		local spread = HSLuv.getOption(options, "spread", 30);
+		local result = [base];
+
+		// base first, then alternate either side: -spread, +spread, -2*spread...
+		for (k = 1; k < count; k++) {
+			local side = (k % 2 == 1) ? -1 : 1;
+			result.push(rotate(base, side * Math.ceil(k / 2) * spread, options));
+		}
+
+		return result;
+	}
+
+	// ---------------------------
+	// triadic: base + 120 + 240
+	// ---------------------------
+	inline function triadic(base, options) {
+		return [base, rotate(base, 120, options), rotate(base, 240, options)];
+	}
+
+	// ---------------------------
+	// splitComplementary: the two neighbours of the complement, options.spread
+	// degrees either side of it (default 30)
+	// ---------------------------
+	inline function splitComplementary(base, options) {
+		local spread = HSLuv.getOption(options, "spread", 30);
+
+		return [base, rotate(base, 180 - spread, options), rotate(base, 180 + spread, options)];
+	}
+
+	// ---------------------------
+	// tetradic: rectangle of two complementary pairs, options.angle degrees apart
+	// (default 60)
+	// ---------------------------
+	inline function tetradic(base, options) {
+		local angle = HSLuv.getOption(options, "angle", 60);
+
+		return [base, rotate(base, angle, options), rotate(base, 180, options), rotate(base, 180 + angle, options)];
+	}
+
+	// ---------------------------
+	// square: four hues 90 degrees apart
+	// ---------------------------
+	inline function square(base, options) {
+		return [base, rotate(base, 90, options), rotate(base, 180, options), rotate(base, 270, options)];
+	}
+
+	// ---------------------------
+	// monochromatic: options.count shades of the base hue (default 5) with
+	// lightness options.step apart (default 12), sorted dark to light.
+	// The base is always included; the range is shifted to stay within L 5-95.
+	// ---------------------------
+	inline function monochromatic(base, options) {
+		local count = HSLuv.getOption(options, "count", 5);
+		local step = HSLuv.getOption(options, "step", 12);
+
+		// place the base in the middle of the range, then shift the range into [5, 95]
+		local first = base[2] - Math.floor((count - 1) / 2) * step;
+		local last = first + (count - 1) * step;
+
+		if (last > 95.0) first -= (last - 95.0);
+		if (first < 5.0) first = 5.0;
+
+		// snap the nearest shade onto the base so the base colour is exact
+		local baseIndex = Math.range(Math.round((base[2] - first) / step), 0, count - 1);
+		first = base[2] - baseIndex * step;
+
+		local result = [];
+
+		for (k = 0; k < count; k++) {
+			if (k == baseIndex) result.push(base);
+			else result.push([base[0], base[1], Math.range(first + k * step, 0.0, 100.0)]);
+		}
+
+		return result;
+	}
+
+} // end namespace Harmony
+
+
+// =====================
+// ColourScale
+// Maps a value (0 - 1) to a colour through a list of colour stops, for meters,
+// waveforms, spectrograms and other value-driven displays. Stops are interpolated
+// with HSLuv.mixWithOptions, so lightness changes linearly between stops: stops
+// with rising (or falling) lightness give a scale with monotonic lightness.
+// Stops can be HSLuv arrays ([H,S,L] or [H,S,L,A]) or HISE uint32 colours.
+// options of createWithOptions (all optional):
+//   space:     "hsluv" (default), "lch" or "luv"
+//   hue:       "shorter" (default), "longer", "increasing" or "decreasing"
+//   positions: one value per stop, rising from 0 to 1 (default: evenly spaced);
+//              equal neighbours make a hard edge
+//   cyclic:    true wraps values outside 0 - 1 and blends the last stop back
+//              into the first (across 1 / 0 if the first position is above 0),
+//              so 0 and 1 give the same colour
+// A scale is an object; don't change its stops, create a new scale instead.
+// =====================
+namespace ColourScale {
+
+	const LUT_SIZE = 256;
+
+	// ---------------------------
+	// Built-in maps (see preset). Every sequential map rises in lightness, diverging maps
+	// fall from both ends to the same light centre and cyclic maps start where they end.
+	// ---------------------------
+	const PRESETS = {
+		// sequential
+		"ocean": { stops: [[265, 75, 12], [250, 85, 32], [210, 90, 52], [160, 85, 70], [100, 90, 90]], options: {} },
+		"ember": { stops: [[275, 65, 8], [305, 75, 28], [10, 90, 48], [35, 95, 70], [75, 90, 94]], options: {} },
+		"greys": { stops: [[0, 0, 5], [0, 0, 95]], options: {} },
+
+		// diverging
+		"coolWarm": { stops: [[255, 90, 35], [255, 0, 94], [12, 90, 35]], options: {} },
+		"purpleGreen": { stops: [[290, 70, 32], [290, 0, 94], [130, 80, 32]], options: {} },
+
+		// cyclic
+		"hueWheel": { stops: [[0, 90, 65], [120, 90, 65], [240, 90, 65]], options: { cyclic: true, hue: "increasing" } },
+		"twilight": { stops: [[255, 0, 92], [255, 75, 55], [285, 70, 20], [10, 75, 55]], options: { cyclic: true } }
+	};
+
+	// ---------------------------
+	// createWithOptions: stops -> scale, undefined (and a console message) for bad input
+	// ---------------------------
+	inline function createWithOptions(stops, options) {
+		if (!isDefined(stops) || stops.length == 0) {
+			Console.print("ColourScale.create: a scale needs at least one colour stop");
+			return undefined;
+		}
+
+		local space = HSLuv.getOption(options, "space", "hsluv");
+
+		if (space != "hsluv" && space != "lch" && space != "luv") {
+			Console.print("ColourScale.create: unknown space \"" + space + "\" (expected hsluv, lch or luv)");
+			return undefined;
+		}
+
+		local count = stops.length;
+		local cyclic = HSLuv.getOption(options, "cyclic", false);
+		local positions = HSLuv.getOption(options, "positions", undefined);
+
+		if (isDefined(positions) && positions.length != count) {
+			Console.print("ColourScale.create: " + count + " stops need " + count + " positions, found " + positions.length);
+			return undefined;
+		}
+
+		local scale = {
+			stops: [],
+			positions: [],
+			cyclic: cyclic,
+			mixOptions: { space: space, hue: HSLuv.getOption(options, "hue", "shorter") },
+			lut: undefined
+		};
+
+		for (scaleIndex = 0; scaleIndex < count; scaleIndex++) {
+			local position;
+
+			if (isDefined(positions)) {
+				position = Math.range(positions[scaleIndex], 0.0, 1.0);
+
+				if (scaleIndex > 0 && position < scale.positions[scaleIndex - 1]) {
+					Console.print("ColourScale.create: positions must rise from 0 to 1, found " + positions[scaleIndex] + " after " + positions[scaleIndex - 1]);
+					return undefined;
+				}
+			}
+			else if (cyclic) position = scaleIndex / count;
+			else position = (count > 1) ? scaleIndex / (count - 1) : 0.0;
+
+			scale.stops.push(HSLuv.toHsla(stops[scaleIndex]));
+			scale.positions.push(position);
+		}
+
+		// the wrap-around segment: last stop back into the first, one turn later
+		if (cyclic) {
+			scale.stops.push(scale.stops[0]);
+			scale.positions.push(scale.positions[0] + 1.0);
+		}
+
+		return scale;
+	}
+
+	// ---------------------------
+	// create: createWithOptions with evenly spaced stops, interpolated in space
+	// ("hsluv", "lch" or "luv")
+	// ---------------------------
+	inline function create(stops, space) {
+		return createWithOptions(stops, { space: space });
+	}
+
+	// ---------------------------
+	// preset: one of the built-in maps by name
+	//   sequential: "ocean", "ember", "greys"
+	//   diverging:  "coolWarm", "purpleGreen"
+	//   cyclic:     "hueWheel", "twilight" (e.g. for InfiniteKnob in infinite mode)
+	// ---------------------------
+	inline function preset(name) {
+		local entry = PRESETS[name];
+
+		if (!isDefined(entry)) {
+			Console.print("ColourScale.preset: unknown map \"" + name + "\"");
+			return undefined;
+		}
+
+		return createWithOptions(entry.stops, entry.options);
+	}
+
+	// ---------------------------
+	// getHsla: value (0 - 1) -> [H,S,L,A]
+	// Clamped to 0 - 1, or wrapped for cyclic scales
+	// ---------------------------
+	inline function getHsla(scale, value) {
+		local t = (Math.isnan(value) || Math.isinf(value)) ? 0.0 : value;
+		local n = scale.stops.length;
+
+		if (scale.cyclic) {
+			t = Math.fmod(Math.fmod(t, 1.0) + 1.0, 1.0);
+
+			// below the first stop is the end of the wrap-around segment
+			if (t < scale.positions[0]) t += 1.0;
+		}
+		else t = Math.range(t, 0.0, 1.0);
+
+		if (n == 1 || t <= scale.positions[0]) return HSLuv.toHsla(scale.stops[0]);
+		if (t >= scale.positions[n - 1]) return HSLuv.toHsla(scale.stops[n - 1]);
+
+		local segment = 1;
+
+		while (segment < n - 1 && t > scale.positions[segment]) segment++;
+
+		local p0 = scale.positions[segment - 1];
+		local p1 = scale.positions[segment];
+		local f = (p1 > p0) ? (t - p0) / (p1 - p0) : 1.0;
+
+		return HSLuv.mixWithOptions(scale.stops[segment - 1], scale.stops[segment], f, scale.mixOptions);
+	}
+
+	// ---------------------------
+	// getColour: value (0 - 1) -> uint32 colour
+	// Converted like sample / getLut (the exact batch path), so lookup matches it
+	// whether or not cache mode is on.
+	// ---------------------------
+	inline function getColour(scale, value) {
+		local hsla = getHsla(scale, value);
+
+		HSLuv.hsluvToRgbInto(hsla[0], hsla[1], hsla[2], HSLuv.batchScratch, 0);
+
+		return HSLuv.packColour(HSLuv.batchScratch[0], HSLuv.batchScratch[1], HSLuv.batchScratch[2], hsla[3]);
+	}
+
+	// ---------------------------
+	// sample: count uint32 colours, evenly spaced from 0 to 1
+	// (cyclic scales stop one step short of 1, which is the first colour again)
+	// ---------------------------
+	inline function sample(scale, count) {
+		local list = [];
+		local divisor = scale.cyclic ? count : Math.max(1, count - 1);
+
+		for (scaleIndex = 0; scaleIndex < count; scaleIndex++)
+			list.push(getHsla(scale, scaleIndex / divisor));
+
+		return HSLuv.toColourArray(list);
+	}
+
+	// ---------------------------
+	// getLut: the scale as LUT_SIZE (256) uint32 colours, built on first use and
+	// kept in the scale. Entry i is the colour at i / 255 (i / 256 for cyclic scales).
+	// ---------------------------
+	inline function getLut(scale) {
+		if (!isDefined(scale.lut)) scale.lut = sample(scale, LUT_SIZE);
+
+		return scale.lut;
+	}
+
+	// ---------------------------
+	// lookup: getColour through the LUT (nearest entry), for paint routines
+	// ---------------------------
+	inline function lookup(scale, value) {
+		local lut = getLut(scale);
+		local t = (Math.isnan(value) || Math.isinf(value)) ? 0.0 : value;
+
+		if (scale.cyclic) return lut[Math.round(Math.fmod(Math.fmod(t, 1.0) + 1.0, 1.0) * LUT_SIZE) % LUT_SIZE];
+
+		return lut[Math.round(Math.range(t, 0.0, 1.0) * (LUT_SIZE - 1))];
+	}
 
+} // end namespace ColourScale
@@ -54,123 +54,1992 @@ inline function getTextCol(bgHsluv)
     return HSLuv.toColour(bwArray);
 }
 
+/**
+ * Tinted alternative to getTextCol: the shade of the background hue closest to the
+ * background that still meets targetRatio (e.g. 4.5 for WCAG AA, 7.0 for AAA).
+ * Falls back to black / white if no shade of that hue gets there.
+ */
+inline function getTintedTextCol(bgHsluv, targetRatio)
+{
+    local solved = ensureContrast(bgHsluv, bgHsluv, targetRatio);
+
+    if (!solved.success) return getTextCol(bgHsluv);
+    return HSLuv.toColour(solved.hsluv);
+}
+
+/**
+ * Same as getTextCol, but picks black or white by APCA (WCAG 3 draft) contrast,
+ * which judges dark backgrounds more accurately than the WCAG 2 ratio.
+ */
+inline function getTextColAPCA(bgHsluv)
+{
+    return HSLuv.toColour(chooseHighContrastBWAPCA(bgHsluv));
+}
+
+/**
+ * Text color for a state computed in any colour space, using the "wcag" or "apca" metric.
+ * Non-HSLuv states are converted back to HSLuv so the luminance check stays the same.
+ */
+inline function getTextColInSpace(hsl, colourSpace, textContrast)
+{
+    local bgHsluv = hsl;
+
+    if (colourSpace != "hsluv") bgHsluv = HSLuv.fromColour(HSLuv.toColourInSpace(hsl, colourSpace));
+    if (textContrast == "apca") return getTextColAPCA(bgHsluv);
+
+    return getTextCol(bgHsluv);
+}
+
+/**
+ * Default state rules of generateButtonPaletteWithOptions (the original hard-coded values).
+ * Lightness / saturation / hue are deltas; direction is "lighten" or "darken" and flips
+ * once the base lightness is past flipThreshold (set it to -1 to never flip).
+ * mode "deltaE" / "contrast" ignores lightness and flipThreshold and solves the lightness
+ * for a CIEDE2000 difference of deltaE (or a WCAG ratio of contrast) instead, see deriveState.
+ */
+const BUTTON_STATE_RULES = {
+    "hover":    { lightness: 10.0, saturation: 0.0, hue: 0.0, direction: "lighten", flipThreshold: 80.0,
+                  mode: "offset", deltaE: 8.0, contrast: 1.25, bias: 2.0 },
+    "clicked":  { lightness: 15.0, saturation: 0.0, hue: 0.0, direction: "darken", flipThreshold: 20.0,
+                  mode: "offset", deltaE: 12.0, contrast: 1.45, bias: 2.0 },
+    // toggled / selected / dragging use the same rules as hover and clicked;
+    // toggledHover is the hover rule applied on top of toggled
+    "toggled":  { lightness: 25.0, saturation: 0.0, hue: 0.0, direction: "darken", flipThreshold: 35.0,
+                  mode: "offset", deltaE: 20.0, contrast: 1.8, bias: 2.0 },
+    "selected": { lightness: 5.0, saturation: 0.0, hue: 0.0, direction: "darken", flipThreshold: 15.0,
+                  mode: "offset", deltaE: 5.0, contrast: 1.15, bias: 2.0 },
+    "dragging": { lightness: 20.0, saturation: 0.0, hue: 0.0, direction: "darken", flipThreshold: 25.0,
+                  mode: "offset", deltaE: 16.0, contrast: 1.6, bias: 2.0 },
+    // hue / saturation are absolute (red in the chosen space), the lightness of the base is
+    // kept within minLightness - maxLightness; the outline follows the focus ring logic
+    "error":    { hue: 12.0, saturation: 85.0, minLightness: 35.0, maxLightness: 60.0,
+                  outlineSaturation: 100.0, darkLightness: 35.0, lightLightness: 75.0, threshold: 60.0 },
+    "disabled": { saturation: 20.0, lightnessScale: 0.5, lightnessOffset: 25.0,
+                  lowSaturationThreshold: 35.0, minLightnessDelta: 15.0, lightnessBoost: 20.0 },
+    // strategy: "complementary" (hue + 180), "analogous" (hue + angle) or "fixed" (colour)
+    "focus":    { background: "hover", strategy: "complementary", angle: 30.0, colour: 0xFFFFFFFF,
+                  saturation: 100.0, darkLightness: 20.0, lightLightness: 90.0, threshold: 60.0 }
+};
+
+/**
+ * Named rule presets. Each one only lists the rules it changes; add your own with
+ * registerButtonPreset and pick one with options.preset.
+ */
+const BUTTON_PRESETS = {
+    "subtle": { "hover":    { lightness: 5.0 },
+                "clicked":  { lightness: 8.0 },
+                "disabled": { saturation: 10.0 },
+                "focus":    { saturation: 60.0 } },
+    "bold":   { "hover":    { lightness: 15.0, saturation: 10.0 },
+                "clicked":  { lightness: 25.0, saturation: 10.0 },
+                "disabled": { saturation: 0.0 } },
+    "flat":   { "hover":    { lightness: 6.0 },
+                "clicked":  { lightness: 6.0 },
+                "disabled": { saturation: 0.0, lightnessScale: 0.0, lightnessOffset: 60.0 },
+                "focus":    { background: "normal", strategy: "analogous", angle: 0.0 } },
+    "perceptual": { "hover":    { mode: "deltaE" },
+                    "clicked":  { mode: "deltaE" },
+                    "toggled":  { mode: "deltaE" },
+                    "selected": { mode: "deltaE" },
+                    "dragging": { mode: "deltaE" } }
+};
+
+/**
+ * Memoised generateButtonPaletteWithOptions results, keyed by getPaletteCacheKey.
+ * Off until setPaletteCache is called with maxEntries > 0. Cached palettes are
+ * shared between callers, so treat them as read-only.
+ */
+const PALETTE_CACHE = { maxEntries: 0, count: 0, entries: {} };
+
+/**
+ * Turns the palette memo on (maxEntries > 0) or off (0) and empties it.
+ * It is flushed whenever it reaches maxEntries.
+ */
+inline function setPaletteCache(maxEntries)
+{
+    PALETTE_CACHE.maxEntries = maxEntries;
+    PALETTE_CACHE.count = 0;
+    PALETTE_CACHE.entries = {};
+}
+
+/**
+ * Base colour + the options generateButtonPaletteWithOptions reads (so theme options
+ * such as mode share one entry) + the HSLuv settings its conversions depend on
+ * (gamut mapping and cache mode snapping), so changing those never returns a stale palette.
+ */
+inline function getPaletteCacheKey(baseColour, options)
+{
+    local cacheKey = "" + baseColour;
+
+    cacheKey += "|" + HSLuv.getOption(options, "colourSpace", "hsluv");
+    cacheKey += "|" + HSLuv.getOption(options, "textContrast", "wcag");
+    cacheKey += "|" + HSLuv.getOption(options, "preset", "");
+
+    for (ruleName in BUTTON_STATE_RULES)
+    {
+        if (isDefined(options) && isDefined(options[ruleName])) cacheKey += "|" + ruleName + trace(options[ruleName]);
+    }
+
+    cacheKey += "|" + HSLuv.gamutMapping.mode + "|" + (HSLuv.cache.enabled ? HSLuv.cache.colourStep : "exact");
+
+    return cacheKey;
+}
+
+/**
+ * Adds (or replaces) a named preset of state rules, e.g.
+ * registerButtonPreset("brandX", { "hover": { lightness: 8.0, hue: -5.0 } });
+ */
+inline function registerButtonPreset(name, rules)
+{
+    BUTTON_PRESETS[name] = rules;
+
+    // memoised palettes may use the old rules
+    setPaletteCache(PALETTE_CACHE.maxEntries);
+}
+
+/**
+ * Merges BUTTON_STATE_RULES <- options.preset <- options.hover / clicked / disabled / focus.
+ */
+inline function resolveButtonRules(options)
+{
+    local rules = {};
+    local preset = {};
+    local presetName = HSLuv.getOption(options, "preset", undefined);
+
+    if (isDefined(presetName))
+    {
+        if (isDefined(BUTTON_PRESETS[presetName])) preset = BUTTON_PRESETS[presetName];
+        else Console.print("generateButtonPalette: unknown preset \"" + presetName + "\"");
+    }
+
+    for (stateName in BUTTON_STATE_RULES)
+    {
+        local merged = {};
+        local defaults = BUTTON_STATE_RULES[stateName];
+
+        for (key in defaults) merged[key] = defaults[key];
+
+        if (isDefined(preset[stateName]))
+            for (key in preset[stateName]) merged[key] = preset[stateName][key];
+
+        if (isDefined(options) && isDefined(options[stateName]))
+            for (key in options[stateName]) merged[key] = options[stateName][key];
+
+        rules[stateName] = merged;
+    }
+
+    return rules;
+}
+
+/**
+ * Saturation limited to what colourSpace allows: HPLuv goes past 100
+ * (100 is only the chroma every hue can reach), the other spaces stop there.
+ */
+inline function limitStateSaturation(saturation, colourSpace)
+{
+    if (colourSpace == "hpluv") return Math.max(saturation, 0.0);
+
+    return Math.range(saturation, 0.0, 100.0);
+}
+
+/**
+ * Applies a hover / clicked rule to a copy of primary [H, S, L] of colourSpace.
+ */
+inline function applyStateRule(primary, rule, colourSpace)
+{
+    local result = primary.clone();
+    local lighten = (rule.direction == "lighten");
+
+    if (rule.flipThreshold >= 0.0)
+    {
+        if (lighten && primary[2] > rule.flipThreshold) lighten = false;
+        else if (!lighten && primary[2] < rule.flipThreshold) lighten = true;
+    }
+
+    result[0] = Math.fmod(Math.fmod(primary[0] + rule.hue, 360.0) + 360.0, 360.0);
+    result[1] = limitStateSaturation(primary[1] + rule.saturation, colourSpace);
+    result[2] = Math.range(lighten ? primary[2] + rule.lightness : primary[2] - rule.lightness, 0.0, 100.0);
+
+    return result;
+}
+
+/**
+ * Perceptual difference between two [H, S, L] arrays of colourSpace:
+ * CIEDE2000 for metric "deltaE", the WCAG contrast ratio for "contrast".
+ */
+inline function getStateDifference(hslA, hslB, colourSpace, metric)
+{
+    local colourA = HSLuv.toColourInSpace(hslA, colourSpace);
+    local colourB = HSLuv.toColourInSpace(hslB, colourSpace);
+
+    if (metric == "contrast") return getContrast(HSLuv.fromColour(colourA), HSLuv.fromColour(colourB));
+
+    return HSLuv.deltaE2000(colourA, colourB);
+}
+
+/**
+ * Moves the lightness of shifted from primary[2] towards toL until it is target away
+ * from primary. Returns [L, achieved]; if even toL falls short, toL is returned with
+ * the difference it does reach.
+ */
+inline function solveStateLightness(shifted, primary, toL, target, colourSpace, metric)
+{
+    local candidate = shifted.clone();
+    candidate[2] = toL;
+
+    local reach = getStateDifference(candidate, primary, colourSpace, metric);
+
+    if (reach < target) return [toL, reach];
+
+    // the difference grows with the distance from primary[2], so bisect
+    local lo = primary[2]; // falls short
+    local hi = toL;        // reaches
+
+    for (solveIter = 0; solveIter < 20; solveIter++)
+    {
+        candidate[2] = (lo + hi) * 0.5;
+
+        if (getStateDifference(candidate, primary, colourSpace, metric) >= target) hi = candidate[2];
+        else lo = candidate[2];
+    }
+
+    candidate[2] = hi;
+    return [hi, getStateDifference(candidate, primary, colourSpace, metric)];
+}
+
+/**
+ * Derives a hover / clicked state from primary [H, S, L] and reports the difference.
+ * Returns { hsl, difference: { mode, metric, target, achieved, direction, success } }.
+ *
+ * mode "offset" is applyStateRule; achieved is the CIEDE2000 difference and target is 0.
+ * mode "deltaE" / "contrast" solves both directions for the target and takes the one
+ * that needs the least lightness travel, where travel in the preferred direction counts
+ * 1 / bias as much. Both candidates hit the same target, so the state never gets
+ * weaker or stronger where the direction swaps, unlike the hard flipThreshold.
+ * The swap itself is still a jump: where the weighted travels are equal, the state goes
+ * from target-above to target-below the base lightness. Blending the two would pass
+ * through the base colour (no visible state), so the jump is kept; a higher bias moves
+ * it closer to where the preferred direction runs out of lightness.
+ * If neither direction reaches the target, the one that gets closest wins and success is false.
+ */
+inline function deriveState(primary, rule, colourSpace)
+{
+    local state = { hsl: [], difference: { mode: rule.mode, metric: "deltaE", target: 0.0, achieved: 0.0, direction: rule.direction, success: true } };
+
+    if (rule.mode != "deltaE" && rule.mode != "contrast")
+    {
+        state.hsl = applyStateRule(primary, rule, colourSpace);
+        state.difference.achieved = getStateDifference(state.hsl, primary, colourSpace, "deltaE");
+        state.difference.direction = (state.hsl[2] >= primary[2]) ? "lighten" : "darken";
+        return state;
+    }
+
+    local target = rule[rule.mode];
+    local shifted = primary.clone();
+    shifted[0] = Math.fmod(Math.fmod(primary[0] + rule.hue, 360.0) + 360.0, 360.0);
+    shifted[1] = limitStateSaturation(primary[1] + rule.saturation, colourSpace);
+
+    local lighter = solveStateLightness(shifted, primary, 100.0, target, colourSpace, rule.mode);
+    local darker = solveStateLightness(shifted, primary, 0.0, target, colourSpace, rule.mode);
+    local lighterReaches = lighter[1] >= target;
+    local darkerReaches = darker[1] >= target;
+    local lighten;
+
+    if (lighterReaches && darkerReaches)
+    {
+        local lighterCost = lighter[0] - primary[2];
+        local darkerCost = primary[2] - darker[0];
+
+        if (rule.direction == "lighten") lighterCost /= rule.bias;
+        else darkerCost /= rule.bias;
+
+        lighten = lighterCost <= darkerCost;
+    }
+    else if (lighterReaches || darkerReaches) lighten = lighterReaches;
+    else lighten = lighter[1] >= darker[1];
+
+    local solved = lighten ? lighter : darker;
+
+    shifted[2] = solved[0];
+    state.hsl = shifted;
+    state.difference.metric = rule.mode;
+    state.difference.target = target;
+    state.difference.achieved = solved[1];
+    state.difference.direction = lighten ? "lighten" : "darken";
+    state.difference.success = solved[1] >= target;
+
+    return state;
+}
+
 /**
  * Generates a full palette using Smart Focus & Smart Disabled logic.
+ * options (all optional):
+ *   colourSpace:  "hsluv" (default), "hpluv" or "oklch". All rules work on [H, S, L]
+ *                 arrays (see HSLuv.toColourInSpace), so spaces can be compared 1:1.
+ *   textContrast: "wcag" (default) or "apca", the metric used to pick black / white text.
+ *   preset:       name of a BUTTON_PRESETS entry ("subtle", "bold", "flat" or your own)
+ *   hover, clicked, disabled, focus: overrides for single BUTTON_STATE_RULES values,
+ *                 e.g. { hover: { lightness: 6.0, direction: "darken" } }
+ *                 or { hover: { mode: "deltaE", deltaE: 6.0 } } to solve for a perceptual difference
+ *
+ * Besides normal / hover / clicked / disabled / focus the palette has toggled, toggledHover,
+ * selected, dragging and error (with an outline). Every derived state carries a difference
+ * report of what was achieved (see deriveState). Use resolveButtonLayers to pick the colours.
  */
-inline function generateButtonPalette(baseColour)
+inline function generateButtonPaletteWithOptions(baseColour, options)
 {
+    local cacheKey = "";
+
+    if (PALETTE_CACHE.maxEntries > 0)
+    {
+        cacheKey = getPaletteCacheKey(baseColour, options);
+        if (isDefined(PALETTE_CACHE.entries[cacheKey])) return PALETTE_CACHE.entries[cacheKey];
+    }
+
     local palette = {};
+    local colourSpace = HSLuv.getOption(options, "colourSpace", "hsluv");
+    local textContrast = HSLuv.getOption(options, "textContrast", "wcag");
+    local rules = resolveButtonRules(options);
     
-    // 1. Convert base uint32 to HSLuv [H, S, L]
-    local primary = HSLuv.fromColour(baseColour);
+    // 1. Convert base uint32 to [H, S, L] in the chosen space
+    local primary = HSLuv.fromColourInSpace(baseColour, colourSpace);
     
-    // Clone arrays
-    local hover = primary.clone();
-    local clicked = primary.clone();
-    local disabled = primary.clone();
-    local focus = primary.clone();
-    local focusOutline = primary.clone();
-    
-    // -- Hover --
-    if (hover[2] > 80.0) hover[2] -= 10.0; 
-    else hover[2] += 10.0;
-    
-    // -- Clicked --
-    if (clicked[2] < 20.0) clicked[2] += 15.0; 
-    else clicked[2] -= 15.0;
+    // -- Hover / Clicked --
+    local hoverState = deriveState(primary, rules.hover, colourSpace);
+    local clickedState = deriveState(primary, rules.clicked, colourSpace);
+    local hover = hoverState.hsl;
+    local clicked = clickedState.hsl;
+
+    // -- Toggled / Selected / Dragging --
+    local toggledState = deriveState(primary, rules.toggled, colourSpace);
+    local toggledHoverState = deriveState(toggledState.hsl, rules.hover, colourSpace);
+    local selectedState = deriveState(primary, rules.selected, colourSpace);
+    local draggingState = deriveState(primary, rules.dragging, colourSpace);
+
+    // -- Error --
+    local errorBg = [rules.error.hue, rules.error.saturation, Math.range(primary[2], rules.error.minLightness, rules.error.maxLightness)];
+    local errorOutline = [rules.error.hue, rules.error.outlineSaturation, (errorBg[2] > rules.error.threshold) ? rules.error.darkLightness : rules.error.lightLightness];
     
     // -- Disabled --
-    disabled[0] = primary[0]; 
-    disabled[1] = 20.0; 
-    disabled[2] = (primary[2] * 0.5) + 25.0;
+    local disabled = primary.clone();
+    disabled[1] = rules.disabled.saturation; 
+    disabled[2] = (primary[2] * rules.disabled.lightnessScale) + rules.disabled.lightnessOffset;
     
     // Low Saturation Fix: Boost contrast if disabled L is too close to primary L
-    if (primary[1] < 35.0) {
-        if (Math.abs(disabled[2] - primary[2]) < 15.0) disabled[2] += 20.0;
+    if (primary[1] < rules.disabled.lowSaturationThreshold) {
+        if (Math.abs(disabled[2] - primary[2]) < rules.disabled.minLightnessDelta) disabled[2] += rules.disabled.lightnessBoost;
+    }
+
+    disabled[2] = Math.range(disabled[2], 0.0, 100.0);
+    
+    // -- Focus Background --
+    local focus = (rules.focus.background == "normal") ? primary.clone() : hover.clone();
+    
+    // -- Focus Outline --
+    local focusOutline = focus.clone();
+    local outlineColour;
+
+    if (rules.focus.strategy == "fixed") {
+        outlineColour = rules.focus.colour;
+    }
+    else {
+        // 1. Rotate Hue (180 degrees for complementary)
+        if (rules.focus.strategy == "analogous") focusOutline[0] = rotateHue(focus, rules.focus.angle)[0];
+        else focusOutline[0] = invertHue(focus)[0];
+        // 2. Set Saturation (maximized by default)
+        focusOutline[1] = rules.focus.saturation; 
+        // 3. Invert Lightness (Threshold at 60.0 to prevent flicker)
+        if (primary[2] > rules.focus.threshold) focusOutline[2] = rules.focus.darkLightness; 
+        else focusOutline[2] = rules.focus.lightLightness; 
+
+        outlineColour = HSLuv.toColourInSpace(focusOutline, colourSpace);
+    }
+
+    // 3. Build Palette
+    palette.normal   = { background: baseColour,                                   text: getTextColInSpace(primary, colourSpace, textContrast) };
+    palette.hover    = { background: HSLuv.toColourInSpace(hover, colourSpace),    text: getTextColInSpace(hover, colourSpace, textContrast), difference: hoverState.difference };
+    palette.clicked  = { background: HSLuv.toColourInSpace(clicked, colourSpace),  text: getTextColInSpace(clicked, colourSpace, textContrast), difference: clickedState.difference };
+    palette.disabled = { background: HSLuv.toColourInSpace(disabled, colourSpace), text: getTextColInSpace(disabled, colourSpace, textContrast) }; 
+    palette.focus    = { background: HSLuv.toColourInSpace(focus, colourSpace),    text: getTextColInSpace(focus, colourSpace, textContrast), outline: outlineColour }; 
+
+    palette.toggled      = { background: HSLuv.toColourInSpace(toggledState.hsl, colourSpace),      text: getTextColInSpace(toggledState.hsl, colourSpace, textContrast),      difference: toggledState.difference };
+    palette.toggledHover = { background: HSLuv.toColourInSpace(toggledHoverState.hsl, colourSpace), text: getTextColInSpace(toggledHoverState.hsl, colourSpace, textContrast), difference: toggledHoverState.difference };
+    palette.selected     = { background: HSLuv.toColourInSpace(selectedState.hsl, colourSpace),     text: getTextColInSpace(selectedState.hsl, colourSpace, textContrast),     difference: selectedState.difference };
+    palette.dragging     = { background: HSLuv.toColourInSpace(draggingState.hsl, colourSpace),     text: getTextColInSpace(draggingState.hsl, colourSpace, textContrast),     difference: draggingState.difference };
+    palette.error        = { background: HSLuv.toColourInSpace(errorBg, colourSpace),               text: getTextColInSpace(errorBg, colourSpace, textContrast),               outline: HSLuv.toColourInSpace(errorOutline, colourSpace) };
+
+    if (PALETTE_CACHE.maxEntries > 0)
+    {
+        if (PALETTE_CACHE.count >= PALETTE_CACHE.maxEntries) setPaletteCache(PALETTE_CACHE.maxEntries);
+
+        PALETTE_CACHE.entries[cacheKey] = palette;
+        PALETTE_CACHE.count += 1;
+    }
+
+    return palette;
+}
+
+/**
+ * Generates a full palette, deriving the states in the given colour space
+ * ("hsluv", "hpluv" or "oklch").
+ */
+inline function generateButtonPaletteInSpace(baseColour, colourSpace)
+{
+    return generateButtonPaletteWithOptions(baseColour, { colourSpace: colourSpace });
+}
+
+/**
+ * Generates a full palette using Smart Focus & Smart Disabled logic.
+ */
+inline function generateButtonPalette(baseColour)
+{
+    return generateButtonPaletteWithOptions(baseColour, {});
+}
+
+/**
+ * Background layer priority of resolveButtonLayers, highest first. "toggledHover" is
+ * used when both toggled and hover are set, "focus" when focus or forceFocus is set.
+ */
+const BUTTON_BACKGROUND_LAYERS = ["disabled", "dragging", "clicked", "toggledHover", "toggled", "hover", "error", "selected", "focus"];
+
+/**
+ * Resolves a set of state flags (disabled, dragging, clicked, toggled, hover, error,
+ * selected, focus, forceFocus; missing ones count as false) into independent layers:
+ *   background / text come from the highest BUTTON_BACKGROUND_LAYERS entry that is set,
+ *   outline is the focus ring if focused, otherwise the error ring, otherwise undefined.
+ * So hover + focus draws the focus outline over the hover background.
+ * Returns { state, outlineState, background, text, outline } (outlineState is "" if none).
+ */
+inline function resolveButtonLayers(palette, flags)
+{
+    local layers = { state: "normal", outlineState: "", background: palette.normal.background, text: palette.normal.text, outline: undefined };
+    local focused = flags.focus == true || flags.forceFocus == true;
+    local active = {
+        "disabled": flags.disabled == true,
+        "dragging": flags.dragging == true,
+        "clicked": flags.clicked == true,
+        "toggledHover": flags.toggled == true && flags.hover == true,
+        "toggled": flags.toggled == true,
+        "hover": flags.hover == true,
+        "error": flags.error == true,
+        "selected": flags.selected == true,
+        "focus": focused
+    };
+
+    for (layerIndex = 0; layerIndex < BUTTON_BACKGROUND_LAYERS.length; layerIndex++)
+    {
+        if (active[BUTTON_BACKGROUND_LAYERS[layerIndex]])
+        {
+            layers.state = BUTTON_BACKGROUND_LAYERS[layerIndex];
+            break;
+        }
+    }
+
+    layers.background = palette[layers.state].background;
+    layers.text = palette[layers.state].text;
+
+    // disabled controls can't be focused and don't show errors
+    if (active.disabled) return layers;
+
+    if (focused) layers.outlineState = "focus";
+    else if (active.error) layers.outlineState = "error";
+
+    if (layers.outlineState != "") layers.outline = palette[layers.outlineState].outline;
+
+    return layers;
+}
+
+/**
+ * Runs a palette from generateButtonPalette through each colour vision deficiency
+ * simulation (protanopia, deuteranopia, tritanopia, achromatopsia) and reports
+ * what stops working.
+ * options (all optional):
+ *   severity:    0.0 - 1.0, default 1.0 (full dichromacy)
+ *   minDeltaE:   backgrounds closer than this (CIEDE2000) are indistinguishable, default 5.0
+ *   minContrast: text / background WCAG ratios below this are flagged, default 4.5
+ *
+ * Returns { passed, results: { protanopia: {...}, ... } } where each result is
+ *   { indistinguishable: [[stateA, stateB, deltaE], ...], lowContrast: [[state, ratio], ...] }
+ * Only problems caused by the simulation are reported: pairs that already look the
+ * same with normal vision (e.g. focus / hover backgrounds) are skipped.
+ */
+inline function validatePaletteCVD(palette, options)
+{
+    local severity = HSLuv.getOption(options, "severity", 1.0);
+    local minDeltaE = HSLuv.getOption(options, "minDeltaE", 5.0);
+    local minContrast = HSLuv.getOption(options, "minContrast", 4.5);
+    local types = ["protanopia", "deuteranopia", "tritanopia", "achromatopsia"];
+    local report = { passed: true, results: {} };
+
+    // [name, background, text] for every state, plus the focus outline on its background
+    local entries = [];
+    local pairs = [];
+
+    for (stateName in palette)
+    {
+        local state = palette[stateName];
+        entries.push([stateName, state.background, state.text]);
+
+        if (isDefined(state.outline))
+            pairs.push([stateName + ".outline", state.outline, stateName, state.background]);
+    }
+
+    for (first = 0; first < entries.length; first++)
+    {
+        for (second = first + 1; second < entries.length; second++)
+            pairs.push([entries[first][0], entries[first][1], entries[second][0], entries[second][1]]);
+    }
+
+    for (typeIndex = 0; typeIndex < types.length; typeIndex++)
+    {
+        local type = types[typeIndex];
+        local result = { indistinguishable: [], lowContrast: [] };
+
+        for (pairIndex = 0; pairIndex < pairs.length; pairIndex++)
+        {
+            local pair = pairs[pairIndex];
+
+            if (HSLuv.deltaE2000(pair[1], pair[3]) < minDeltaE) continue;
+
+            local dE = HSLuv.deltaE2000(HSLuv.simulateCVD(pair[1], type, severity), HSLuv.simulateCVD(pair[3], type, severity));
+
+            if (dE < minDeltaE) result.indistinguishable.push([pair[0], pair[2], dE]);
+        }
+
+        for (entryIndex = 0; entryIndex < entries.length; entryIndex++)
+        {
+            local entry = entries[entryIndex];
+
+            if (getContrast(HSLuv.fromColour(entry[2]), HSLuv.fromColour(entry[1])) < minContrast) continue;
+
+            local simBg = HSLuv.fromColour(HSLuv.simulateCVD(entry[1], type, severity));
+            local simText = HSLuv.fromColour(HSLuv.simulateCVD(entry[2], type, severity));
+            local ratio = getContrast(simText, simBg);
+
+            if (ratio < minContrast) result.lowContrast.push([entry[0], ratio]);
+        }
+
+        if (result.indistinguishable.length > 0 || result.lowContrast.length > 0) report.passed = false;
+
+        report.results[type] = result;
+    }
+
+    return report;
+}
+
+/**
+ * Moves the lightness of textHsluv as little as possible until it meets targetRatio
+ * against EVERY surface in surfacesHsluv (it solves against the worst one).
+ * Returns the ensureContrast result for the worst surface.
+ */
+inline function solveTextOnSurfaces(textHsluv, surfacesHsluv, targetRatio)
+{
+    local solved = { hsluv: textHsluv, ratio: 0.0, success: false };
+
+    // the worst surface can change once the text moves, so settle in a few passes
+    for (pass = 0; pass < 3; pass++)
+    {
+        local worst = surfacesHsluv[0];
+
+        for (surfaceIndex = 1; surfaceIndex < surfacesHsluv.length; surfaceIndex++)
+        {
+            if (getContrast(solved.hsluv, surfacesHsluv[surfaceIndex]) < getContrast(solved.hsluv, worst))
+                worst = surfacesHsluv[surfaceIndex];
+        }
+
+        solved = ensureContrast(solved.hsluv, worst, targetRatio);
+    }
+
+    return solved;
+}
+
+/**
+ * Black or white, whichever has the higher WCAG contrast on the background.
+ * (chooseHighContrastBW switches at a luminance of 0.5, which favours white text
+ * on mid-tones like amber or green.)
+ */
+inline function getMaxContrastTextCol(bgHsluv)
+{
+    if (getContrast([0, 0, 0], bgHsluv) > getContrast([0, 0, 100], bgHsluv)) return HSLuv.toColour([0, 0, 0]);
+    return HSLuv.toColour([0, 0, 100]);
+}
+
+/**
+ * A semantic colour ({ background, text }) for a fixed hue that stays visible
+ * on the surface (WCAG 1.4.11 non-text contrast of 3:1).
+ */
+inline function generateSemanticColour(hue, saturation, lightness, surfaceHsluv)
+{
+    local solved = ensureContrast([hue, saturation, lightness], surfaceHsluv, 3.0);
+
+    return { background: HSLuv.toColour(solved.hsluv), text: getMaxContrastTextCol(solved.hsluv) };
+}
+
+/**
+ * HSLuv lightness of every theme token per mode. Light mode keeps the same roles
+ * but remaps the ordering: surfaces get lighter with elevation in both modes, while
+ * lines, text and semantic colours move to the dark side of the surfaces.
+ * Text and semantic values are starting points; they're then solved for contrast.
+ */
+const THEME_LIGHTNESS = {
+    "dark":  { base: 10.0, surface: 15.0, elevated: 20.0, divider: 25.0, border: 35.0,
+               primary: 95.0, secondary: 75.0, tertiary: 55.0,
+               success: 65.0, warning: 75.0, error: 60.0, info: 65.0 },
+    "light": { base: 94.0, surface: 97.0, elevated: 100.0, divider: 86.0, border: 74.0,
+               primary: 5.0, secondary: 25.0, tertiary: 45.0,
+               success: 50.0, warning: 55.0, error: 50.0, info: 50.0 }
+};
+
+/**
+ * Derives a complete UI token set from a single base colour.
+ * options (all optional):
+ *   mode: "dark" (default) or "light"
+ *   neutralSaturation: saturation of the tinted neutrals (backgrounds, lines, text), default 8
+ *   successHue, warningHue, errorHue, infoHue: HSLuv hues of the semantic colours
+ *                      (defaults 128, 60, 12, 250)
+ *   any generateButtonPaletteWithOptions option, used for theme.button
+ *
+ * Returns:
+ *   theme.mode       "dark" or "light"
+ *   theme.background { base, surface, elevated }        app background and raised surfaces
+ *   theme.line       { border, divider }
+ *   theme.text       { primary, secondary, tertiary }   7:1, 4.5:1 and 3:1 on every surface
+ *   theme.accent     { background, text }               the base colour
+ *   theme.success / warning / error / info { background, text }
+ *   theme.button     generateButtonPaletteWithOptions(baseColour, options)
+ *   theme.contrast   { passed, checks: [{ foreground, background, ratio, required, passed }, ...] }
+ */
+inline function generateThemePalette(baseColour, options)
+{
+    local theme = {};
+    local base = HSLuv.fromColour(baseColour);
+    local H = base[0];
+    local neutralSat = HSLuv.getOption(options, "neutralSaturation", 8.0);
+    local mode = HSLuv.getOption(options, "mode", "dark");
+    local levels = THEME_LIGHTNESS[mode];
+
+    if (!isDefined(levels))
+    {
+        Console.print("generateThemePalette: unknown mode \"" + mode + "\" (expected dark or light)");
+        mode = "dark";
+        levels = THEME_LIGHTNESS.dark;
+    }
+
+    theme.mode = mode;
+
+    // -- Surfaces (lightness rises with elevation) --
+    local backgroundHsl = [H, neutralSat, levels.base];
+    local surfaceHsl = [H, neutralSat, levels.surface];
+    local elevatedHsl = [H, neutralSat, levels.elevated];
+    local surfaces = [backgroundHsl, surfaceHsl, elevatedHsl];
+
+    // -- Lines --
+    local dividerHsl = [H, neutralSat, levels.divider];
+    local borderHsl = [H, neutralSat, levels.border];
+
+    // -- Text, solved against the worst surface --
+    local primaryText = solveTextOnSurfaces([H, neutralSat * 0.5, levels.primary], surfaces, 7.0);
+    local secondaryText = solveTextOnSurfaces([H, neutralSat, levels.secondary], surfaces, 4.5);
+    local tertiaryText = solveTextOnSurfaces([H, neutralSat, levels.tertiary], surfaces, 3.0);
+
+    theme.background = { base: HSLuv.toColour(backgroundHsl), surface: HSLuv.toColour(surfaceHsl), elevated: HSLuv.toColour(elevatedHsl) };
+    theme.line       = { border: HSLuv.toColour(borderHsl), divider: HSLuv.toColour(dividerHsl) };
+    theme.text       = { primary: HSLuv.toColour(primaryText.hsluv), secondary: HSLuv.toColour(secondaryText.hsluv), tertiary: HSLuv.toColour(tertiaryText.hsluv) };
+    theme.accent     = { background: baseColour, text: getMaxContrastTextCol(base) };
+
+    // -- Semantic colours --
+    theme.success = generateSemanticColour(HSLuv.getOption(options, "successHue", 128.0), 90.0, levels.success, surfaceHsl);
+    theme.warning = generateSemanticColour(HSLuv.getOption(options, "warningHue", 60.0), 90.0, levels.warning, surfaceHsl);
+    theme.error   = generateSemanticColour(HSLuv.getOption(options, "errorHue", 12.0), 90.0, levels.error, surfaceHsl);
+    theme.info    = generateSemanticColour(HSLuv.getOption(options, "infoHue", 250.0), 90.0, levels.info, surfaceHsl);
+
+    theme.button = generateButtonPaletteWithOptions(baseColour, options);
+
+    // -- Contrast report --
+    // [foreground token, background token, required ratio]
+    local checks = [
+        ["text.primary", "background.base", 7.0], ["text.primary", "background.surface", 7.0], ["text.primary", "background.elevated", 7.0],
+        ["text.secondary", "background.base", 4.5], ["text.secondary", "background.surface", 4.5], ["text.secondary", "background.elevated", 4.5],
+        ["text.tertiary", "background.base", 3.0], ["text.tertiary", "background.surface", 3.0], ["text.tertiary", "background.elevated", 3.0],
+        ["accent.text", "accent.background", 4.5],
+        ["success.text", "success.background", 4.5], ["warning.text", "warning.background", 4.5],
+        ["error.text", "error.background", 4.5], ["info.text", "info.background", 4.5],
+        ["success.background", "background.surface", 3.0], ["warning.background", "background.surface", 3.0],
+        ["error.background", "background.surface", 3.0], ["info.background", "background.surface", 3.0]
+    ];
+
+    theme.contrast = { passed: true, checks: [] };
+
+    for (checkIndex = 0; checkIndex < checks.length; checkIndex++)
+    {
+        local check = checks[checkIndex];
+        local fgPath = check[0].split(".");
+        local bgPath = check[1].split(".");
+        local fg = HSLuv.fromColour(theme[fgPath[0]][fgPath[1]]);
+        local bg = HSLuv.fromColour(theme[bgPath[0]][bgPath[1]]);
+        local ratio = getContrast(fg, bg);
+
+        // small tolerance: the solved colours sit right on the target before 8-bit rounding
+        local passed = ratio >= check[2] - 0.01;
+
+        if (!passed) theme.contrast.passed = false;
+        theme.contrast.checks.push({ foreground: check[0], background: check[1], ratio: ratio, required: check[2], passed: passed });
+    }
+
+    return theme;
+}
+
+/**
+ * generateThemePalette with options.mode overridden ("dark" or "light"),
+ * without changing the caller's options.
+ */
+inline function generateThemeVariant(baseColour, options, mode)
+{
+    local variantOptions = {};
+
+    if (isDefined(options))
+    {
+        for (key in options) variantOptions[key] = options[key];
+    }
+
+    variantOptions.mode = mode;
+
+    return generateThemePalette(baseColour, variantOptions);
+}
+
+/**
+ * A matched pair of themes from the same base colour: { dark, light }.
+ * Hue identity and token roles are shared; only the lightness ordering changes.
+ */
+inline function generateThemeVariants(baseColour, options)
+{
+    return { dark: generateThemeVariant(baseColour, options, "dark"), light: generateThemeVariant(baseColour, options, "light") };
+}
+
+/**
+ * Default step names of a tonal scale (Tailwind style).
+ */
+const TONAL_SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+/**
+ * Generates a Material / Tailwind style tonal ramp from a base colour, with HSLuv
+ * lightness evenly spaced by step value (so 500 sits halfway between 50 and 950).
+ * steps: array of step names (numbers, ascending = darker), or undefined for
+ *        TONAL_SCALE_STEPS
+ * options (all optional):
+ *   lightest, darkest: HSLuv lightness of the first / last step (default 97 / 12)
+ *   anchorStep:    step that reproduces the base colour exactly (e.g. 500); the two
+ *                  halves either side of it are evenly spaced. Must be one of the
+ *                  steps. Default: none.
+ *   chromaEasing:  0-1, eases towards the extremes from constant HSLuv saturation to
+ *                  keeping the base colour's LCh chroma (clamped to the gamut at that
+ *                  lightness), so the lightest / darkest tones keep their colour instead
+ *                  of fading to grey. The blend is chromaEasing times the step's distance
+ *                  from the middle: none at the middle step, all of it at the ends (default 0)
+ *   hueShiftLight, hueShiftDark: degrees the hue drifts at the lightest / darkest step,
+ *                  e.g. hueShiftDark: 20 pushes a blue's shadows towards violet (default 0)
+ *
+ * Returns { names: ["50", ...], colours: { "50": uint32, ... }, hsluv: { "50": [H, S, L], ... } }
+ * Keys are strings: scale.colours["500"]. Returns undefined (and prints the reason)
+ * if steps is empty or anchorStep isn't one of the steps.
+ */
+inline function generateTonalScaleWithOptions(baseColour, steps, options)
+{
+    local base = HSLuv.fromColour(baseColour);
+    local stepList = isDefined(steps) ? steps : TONAL_SCALE_STEPS;
+    local lightest = HSLuv.getOption(options, "lightest", 97.0);
+    local darkest = HSLuv.getOption(options, "darkest", 12.0);
+    local anchorStep = HSLuv.getOption(options, "anchorStep", undefined);
+    local chromaEasing = Math.range(HSLuv.getOption(options, "chromaEasing", 0.0), 0.0, 1.0);
+    local hueShiftLight = HSLuv.getOption(options, "hueShiftLight", 0.0);
+    local hueShiftDark = HSLuv.getOption(options, "hueShiftDark", 0.0);
+
+    if (stepList.length == 0)
+    {
+        Console.print("generateTonalScale: steps is empty");
+        return undefined;
+    }
+
+    if (isDefined(anchorStep) && stepList.indexOf(anchorStep) == -1)
+    {
+        Console.print("generateTonalScale: anchorStep " + anchorStep + " is not one of the steps");
+        return undefined;
+    }
+
+    local first = stepList[0];
+    local last = stepList[stepList.length - 1];
+    local middle = (first + last) * 0.5;
+    local baseChroma = HSLuv.hsluvToLch(base)[1];
+    local scale = { names: [], colours: {}, hsluv: {} };
+
+    for (stepIndex = 0; stepIndex < stepList.length; stepIndex++)
+    {
+        local stepValue = stepList[stepIndex];
+        local L;
+
+        if (isDefined(anchorStep) && stepValue <= anchorStep)
+            L = (anchorStep == first) ? base[2] : lightest + (stepValue - first) / (anchorStep - first) * (base[2] - lightest);
+        else if (isDefined(anchorStep))
+            L = (anchorStep == last) ? base[2] : base[2] + (stepValue - anchorStep) / (last - anchorStep) * (darkest - base[2]);
+        else
+            L = lightest + ((last == first) ? 0.5 : (stepValue - first) / (last - first)) * (darkest - lightest);
+
+        // -1 at the lightest step, 0 in the middle, +1 at the darkest
+        local position = (last == first) ? 0.0 : (stepValue - middle) / (last - middle);
+
+        local H = Math.fmod(Math.fmod(base[0] + ((position < 0.0) ? -position * hueShiftLight : position * hueShiftDark), 360.0) + 360.0, 360.0);
+        local S = base[1];
+
+        L = Math.range(L, 0.0, 100.0);
+
+        if (chromaEasing > 0.0)
+        {
+            // the saturation that keeps the base chroma, or the most the gamut allows at this L
+            local maxChroma = HSLuv.maxChromaForLH(L, H);
+            local keptS = (maxChroma > 1e-6) ? Math.min(baseChroma, maxChroma) / maxChroma * 100.0 : 0.0;
+
+            S = S + (keptS - S) * chromaEasing * Math.abs(position);
+        }
+
+        local isAnchor = isDefined(anchorStep) && stepValue == anchorStep;
+        local hsl = isAnchor ? [base[0], base[1], base[2]] : [H, S, L];
+        local name = "" + stepValue;
+
+        // keep the anchor exact (no round trip through HSLuv)
+        scale.names.push(name);
+        scale.hsluv[name] = hsl;
+        scale.colours[name] = isAnchor ? baseColour : HSLuv.toColour(hsl);
+    }
+
+    return scale;
+}
+
+/**
+ * generateTonalScaleWithOptions with the default options.
+ */
+inline function generateTonalScale(baseColour, steps)
+{
+    return generateTonalScaleWithOptions(baseColour, steps, {});
+}
+
+/**
+ * Exports a tonal scale as { "50": "#rrggbb", ... } (ready for JSON).
+ */
+inline function tonalScaleToHex(scale)
+{
+    local hex = {};
+
+    for (nameIndex = 0; nameIndex < scale.names.length; nameIndex++)
+    {
+        local name = scale.names[nameIndex];
+        hex[name] = HSLuv.colourToHex(scale.colours[name], false);
+    }
+
+    return hex;
+}
+
+/**
+ * Exports a tonal scale as CSS custom properties, one per line:
+ * "--<prefix>-50: #rrggbb;"
+ */
+inline function tonalScaleToCSS(scale, prefix)
+{
+    local css = "";
+
+    for (nameIndex = 0; nameIndex < scale.names.length; nameIndex++)
+    {
+        local name = scale.names[nameIndex];
+        css += "--" + prefix + "-" + name + ": " + HSLuv.colourToHex(scale.colours[name], false) + ";\n";
+    }
+
+    return css;
+}
+
+// ==========================================================================
+// 2. NAMESPACES (InfiniteKnob)
+// ==========================================================================
+
+namespace InfiniteKnob
+{
+    // options of createWithOptions. Also: "middlePosition", the value at the knob's
+    // centre (skews the range, e.g. 1000 for a 20 - 20000 Hz knob), "palette",
+    // a generateButtonPalette result or a theme (see setPalette), and "colourScale"
+    // (see setColourScale).
+    const DEFAULTS = {
+        "min": 0.0, "max": 1.0,
+        "stepSize": 0.0,        // > 0 snaps the value, e.g. 1.0 for 1 degree hue steps
+        "suffix": "",
+        "decimals": 1,
+        "bipolar": false,       // readout and text entry are +/- offsets from the centre
+        "sensitivity": 0.005,   // knob travel (0 - 1) per pixel of vertical drag
+        "fineFactor": 0.1,      // sensitivity multiplier while shift is held
+        "wheelStep": 0.01,      // knob travel per mouse wheel notch (times fineFactor with shift)
+        "saveInPreset": false,
+        "parameterName": "",    // set to expose the knob as a plugin parameter
+        "hueWheel": false,      // draw the ring as an HSLuv hue wheel (for 0 - 360 hue knobs)
+        "wheelSaturation": 100.0, "wheelLightness": 65.0,
+        "wheelSegments": 36,
+        "onChange": undefined   // function(knob, value), value in min - max units
+    };
+
+    const entryTargets = {}; // entry label id -> knob
+
+    // value (min - max) -> knob position (0 - 1)
+    inline function toNormalised(knob, value)
+    {
+        local proportion = Math.range((value - knob.data.min) / (knob.data.max - knob.data.min), 0.0, 1.0);
+        return Math.pow(proportion, knob.data.skew);
+    }
+
+    // knob position (0 - 1) -> value (min - max)
+    inline function fromNormalised(knob, normalised)
+    {
+        return knob.data.min + (knob.data.max - knob.data.min) * Math.pow(normalised, 1.0 / knob.data.skew);
+    }
+
+    // Wraps (infinite, max is the same as min) or clamps a value into min - max
+    inline function limit(knob, value)
+    {
+        local range = knob.data.max - knob.data.min;
+
+        if (knob.data.isInfinite) return knob.data.min + Math.fmod(Math.fmod(value - knob.data.min, range) + range, range);
+
+        return Math.range(value, knob.data.min, knob.data.max);
+    }
+
+    // Wraps or clamps the value (in min - max units), snaps it to stepSize and sends it
+    inline function applyValue(knob, value)
+    {
+        local newVal = limit(knob, value);
+
+        if (knob.data.stepSize > 0) newVal = limit(knob, knob.data.min + Math.round((newVal - knob.data.min) / knob.data.stepSize) * knob.data.stepSize);
+
+        knob.setValue(newVal);
+        knob.changed(); knob.repaintImmediately();
+    }
+
+    // Same as applyValue, but with a knob position (wrapped or clamped to 0 - 1)
+    inline function setNormalised(knob, normalised)
+    {
+        local newPos = knob.data.isInfinite ? normalised - Math.floor(normalised) : Math.range(normalised, 0.0, 1.0);
+
+        applyValue(knob, fromNormalised(knob, newPos));
+    }
+
+    // The value as shown by the readout and the text entry (an offset from the centre if bipolar)
+    inline function getDisplayValue(knob)
+    {
+        return knob.data.bipolar ? knob.getValue() - knob.data.centre : knob.getValue();
+    }
+
+    inline function getValueText(knob)
+    {
+        local displayValue = getDisplayValue(knob);
+        local sign = (knob.data.bipolar && displayValue > 0.0) ? "+" : "";
+
+        return sign + Engine.doubleToString(displayValue, knob.data.decimals) + knob.data.suffix;
+    }
+
+    // Opens the text entry over the knob, prefilled with the current value
+    inline function showEntry(knob)
+    {
+        local entry = knob.data.entry;
+
+        entry.set("text", Engine.doubleToString(getDisplayValue(knob), knob.data.decimals));
+        entry.set("visible", true);
+        entry.grabFocus();
+    }
+
+    // Typed text -> display value, or undefined if it isn't a number. The knob's suffix
+    // may be typed ("215°"); anything else is rejected, as parseFloat reads "abc" as 0.
+    inline function parseEntry(knob, text)
+    {
+        local s = ("" + text).trim();
+        local suffix = knob.data.suffix.trim();
+
+        if (suffix != "" && s.length > suffix.length && s.substring(s.length - suffix.length, s.length) == suffix)
+            s = s.substring(0, s.length - suffix.length).trim();
+
+        if (s == "" || s.indexOf("%") != -1) return undefined;
+
+        return HSLuv.parseComponent(s, 1.0);
+    }
+
+    inline function hideEntry(knob)
+    {
+        knob.data.entry.set("visible", false);
+    }
+
+    inline function onEntryControl(component, value)
+    {
+        local knob = entryTargets[component.getId()];
+        local typed = parseEntry(knob, value);
+
+        hideEntry(knob);
+
+        if (!isDefined(typed))
+        {
+            Console.print("InfiniteKnob: \"" + value + "\" is not a number");
+            return;
+        }
+
+        applyValue(knob, knob.data.bipolar ? typed + knob.data.centre : typed);
+    }
+
+    // The knob's own control callback: it runs for drags, typed values, host automation
+    // and preset loads alike, so the knob always redraws before onChange is told.
+    inline function onKnobControl(component, value)
+    {
+        component.repaint();
+
+        if (isDefined(component.data.onChange)) component.data.onChange(component, value);
+    }
+
+    inline function setChangeCallback(knob, f)
+    {
+        knob.data.onChange = f;
+    }
+
+    // Colours the knob from a button palette or a theme (which also colours the label).
+    // ThemeManager.register(knob) does the same and follows theme changes.
+    inline function setPalette(knob, paletteOrTheme)
+    {
+        if (isDefined(paletteOrTheme.button))
+        {
+            knob.data.theme = paletteOrTheme;
+            knob.data.palette = paletteOrTheme.button;
+        }
+        else knob.data.palette = paletteOrTheme;
+
+        knob.repaint();
+    }
+
+    // Recolours the hue wheel, e.g. to follow the saturation / lightness being edited
+    inline function setHueWheel(knob, saturation, lightness)
+    {
+        local colours = [];
+        local rgb = [0.0, 0.0, 0.0];
+
+        for (wheelIndex = 0; wheelIndex < knob.data.wheelSegments; wheelIndex++)
+        {
+            HSLuv.hsluvToRgbInto((wheelIndex + 0.5) / knob.data.wheelSegments * 360.0, saturation, lightness, rgb, 0);
+            colours.push(HSLuv.packColour(rgb[0], rgb[1], rgb[2], 1.0));
+        }
+
+        knob.data.wheelColours = colours;
+        knob.repaint();
+    }
+
+    // Draws the ring from a ColourScale instead (knob positions 0 - 1 round the ring), e.g. a
+    // cyclic map such as ColourScale.preset("twilight") for infinite knobs
+    inline function setColourScale(knob, scale)
+    {
+        local colours = [];
+
+        for (wheelIndex = 0; wheelIndex < knob.data.wheelSegments; wheelIndex++)
+            colours.push(ColourScale.getColour(scale, (wheelIndex + 0.5) / knob.data.wheelSegments));
+
+        knob.data.hueWheel = true;
+        knob.data.wheelColours = colours;
+        knob.repaint();
+    }
+
+    // Sets "disabled", "hover", "dragging" or "focus"; disabling also drops the focus
+    inline function setFlag(knob, flag, value)
+    {
+        knob.data.stateFlags[flag] = value ? true : false;
+
+        if (flag == "disabled" && value)
+        {
+            knob.loseFocus();
+            hideEntry(knob);
+        }
+
+        knob.repaint();
+    }
+
+    // Body / pointer / outline colours for the current state, the same layers as a button
+    inline function getLayers(knob)
+    {
+        if (!isDefined(knob.data.palette)) return { state: "normal", outlineState: "", background: Colours.darkgrey, text: Colours.white, outline: undefined };
+
+        return resolveButtonLayers(knob.data.palette, knob.data.stateFlags);
+    }
+
+    /**
+     * Drag vertically (shift for fine control), double-click to reset to defaultValue,
+     * use the mouse wheel to step, and right-click, alt-click or enter to type a value
+     * (escape or clicking away cancels).
+     * defaultValue and the onChange value are in min - max units; use the onChange option
+     * or setChangeCallback rather than replacing the panel's control callback.
+     * Without a palette the knob is drawn grey / white; states (hover, dragging, focus,
+     * disabled) use the palette's button layers, see getLayers.
+     * options: see DEFAULTS.
+     */
+    inline function createWithOptions(name, x, y, labelText, isInfinite, defaultValue, options)
+    {
+        local p = Content.addPanel(name, x, y);
+        local entry = Content.addLabel(name + "_Entry", x, y + 20);
+
+        for (key in DEFAULTS) p.data[key] = HSLuv.getOption(options, key, DEFAULTS[key]);
+
+        local middlePosition = HSLuv.getOption(options, "middlePosition", undefined);
+        local isParameter = p.data.parameterName != "";
+
+        p.data.skew = 1.0;
+        p.data.centre = (p.data.min + p.data.max) * 0.5;
+
+        if (isDefined(middlePosition) && (middlePosition <= p.data.min || middlePosition >= p.data.max))
+        {
+            Console.print("InfiniteKnob.createWithOptions: middlePosition " + middlePosition + " must lie between min and max, ignored");
+            middlePosition = undefined;
+        }
+
+        if (isDefined(middlePosition))
+        {
+            p.data.skew = Math.log(0.5) / Math.log((middlePosition - p.data.min) / (p.data.max - p.data.min));
+            p.data.centre = middlePosition;
+        }
+
+        Content.setPropertiesFromJSON(name, {
+            "width": 60, "height": 75,
+            "min": p.data.min, "max": p.data.max, "defaultValue": defaultValue,
+            "saveInPreset": p.data.saveInPreset || isParameter,
+            "isPluginParameter": isParameter, "pluginParameterName": p.data.parameterName,
+            "allowCallbacks": "All Callbacks", "opaque": false
+        });
+
+        Content.setPropertiesFromJSON(name + "_Entry", {
+            "width": 60, "height": 20,
+            "saveInPreset": false, "visible": false,
+            "editable": true, "alignment": "centred"
+        });
+
+        p.data.dragValue = 0.0;
+        p.data.lastDragY = 0;
+        p.data.stateFlags = { "disabled": false, "hover": false, "dragging": false, "focus": false };
+        p.data.label = labelText;
+        p.data.isInfinite = isInfinite;
+        p.data.defaultValue = defaultValue;
+        p.data.entry = entry;
+        p.data.arcPath = Content.createPath();
+
+        entryTargets[name + "_Entry"] = p;
+        entry.setControlCallback(onEntryControl);
+        entry.setConsumedKeyPresses([{"keyCode": 27}]);
+        entry.setKeyPressCallback(function(event)
+        {
+            // leaving the entry without enter (escape, clicking elsewhere) cancels it
+            if ((event.isFocusChange && !event.hasFocus) || (!event.isFocusChange && event.keyCode == 27))
+                this.set("visible", false);
+        });
+
+        if (isDefined(HSLuv.getOption(options, "palette", undefined))) setPalette(p, options.palette);
+        if (p.data.hueWheel) setHueWheel(p, p.data.wheelSaturation, p.data.wheelLightness);
+        if (isDefined(HSLuv.getOption(options, "colourScale", undefined))) setColourScale(p, options.colourScale);
+
+        p.setConsumedKeyPresses([{"keyCode": 13}]);
+        p.setValue(defaultValue);
+        p.setControlCallback(onKnobControl);
+
+        p.setPaintRoutine(function(g)
+        {
+            var w = this.getWidth(); var h = 60; 
+            var cx = w / 2; var cy = h / 2;
+            var layers = InfiniteKnob.getLayers(this);
+            var isDisabled = this.data.stateFlags.disabled;
+            var angle = (InfiniteKnob.toNormalised(this, this.getValue()) * 6.2832) + 3.1416;
+            var ringArea = [4, 4, w - 8, h - 8];
+            var arc = this.data.arcPath;
+
+            // -- Ring: hue wheel, full ring (infinite) or track + value arc --
+            // (the two sub paths pin the path bounds to 0 - 1 so drawPath doesn't rescale partial arcs)
+            if (this.data.hueWheel) {
+                var segments = this.data.wheelColours.length;
+
+                for (var segmentIndex = 0; segmentIndex < segments; segmentIndex++) {
+                    arc.clear(); arc.startNewSubPath(0.0, 0.0); arc.startNewSubPath(1.0, 1.0);
+                    arc.addArc([0.0, 0.0, 1.0, 1.0], 3.1416 + segmentIndex / segments * 6.2832, 3.1416 + (segmentIndex + 1.05) / segments * 6.2832);
+
+                    g.setColour(isDisabled ? Colours.withAlpha(this.data.wheelColours[segmentIndex], 0.35) : this.data.wheelColours[segmentIndex]);
+                    g.drawPath(arc, ringArea, 4.0);
+                }
+            }
+            else if (this.data.isInfinite) {
+                g.setColour(layers.background);
+                g.drawEllipse(ringArea, 4.0);
+            }
+            else {
+                var startAngle = this.data.bipolar ? (InfiniteKnob.toNormalised(this, this.data.centre) * 6.2832) + 3.1416 : 3.1416;
+
+                g.setColour(Colours.withAlpha(layers.background, 0.3));
+                g.drawEllipse(ringArea, 4.0);
+
+                arc.clear(); arc.startNewSubPath(0.0, 0.0); arc.startNewSubPath(1.0, 1.0);
+                arc.addArc([0.0, 0.0, 1.0, 1.0], Math.min(startAngle, angle), Math.max(startAngle, angle));
+
+                g.setColour(layers.background);
+                g.drawPath(arc, ringArea, 4.0);
+            }
+
+            // -- Body, pointer, focus outline --
+            g.setColour(layers.background);
+            g.fillEllipse([9, 9, w - 18, h - 18]);
+
+            var radius = (w / 2) * 0.45;
+
+            g.setColour(layers.text);
+            g.fillEllipse([cx + radius * Math.sin(angle) - 3, cy - radius * Math.cos(angle) - 3, 6, 6]);
+
+            if (isDefined(layers.outline)) {
+                g.setColour(layers.outline);
+                g.drawEllipse([1, 1, w - 2, h - 2], 1.5);
+            }
+
+            if (this.data.bipolar) {
+                // centre mark
+                var centreAngle = (InfiniteKnob.toNormalised(this, this.data.centre) * 6.2832) + 3.1416;
+                var inner = (w / 2) * 0.5; var outer = (w / 2) * 0.65;
+                g.setColour(isDisabled ? Colours.withAlpha(layers.text, 0.35) : layers.text);
+                g.drawLine(cx + inner * Math.sin(centreAngle), cx + outer * Math.sin(centreAngle),
+                           cy - inner * Math.cos(centreAngle), cy - outer * Math.cos(centreAngle), 2.0);
+            }
+
+            g.setColour(isDefined(this.data.theme) ? this.data.theme.text.primary : Colours.white);
+            if (isDisabled) g.setColour(isDefined(this.data.theme) ? this.data.theme.text.tertiary : Colours.grey);
+
+            g.setFont("default", 15.0);
+            g.drawAlignedText(this.data.stateFlags.dragging ? InfiniteKnob.getValueText(this) : this.data.label, [0, 60, w, 15], "centred");
+        });
+
+        p.setMouseCallback(function(event)
+        {
+            if (this.data.stateFlags.disabled) return;
+
+            if (event.hover == 1 || event.hover == 0) {
+                this.data.stateFlags.hover = event.hover == 1;
+                this.repaint();
+            }
+
+            if (event.clicked) InfiniteKnob.hideEntry(this);
+
+            if (event.rightClick || (event.clicked && event.altDown)) {
+                InfiniteKnob.showEntry(this);
+                return;
+            }
+
+            if (event.doubleClick) {
+                InfiniteKnob.applyValue(this, this.data.defaultValue);
+                return;
+            }
+
+            if (event.mouseWheel) {
+                var wheelStep = event.shiftDown ? this.data.wheelStep * this.data.fineFactor : this.data.wheelStep;
+                var direction = event.deltaY > 0 ? 1 : -1;
+
+                if (this.data.stepSize > 0) {
+                    // whole steps only, at least one, so quantisation can't swallow the move
+                    var stepCount = Math.max(1, Math.round(wheelStep * (this.data.max - this.data.min) / this.data.stepSize));
+                    InfiniteKnob.applyValue(this, this.getValue() + direction * stepCount * this.data.stepSize);
+                }
+                else InfiniteKnob.setNormalised(this, InfiniteKnob.toNormalised(this, this.getValue()) + direction * wheelStep);
+                return;
+            }
+
+            if (event.clicked) {
+                this.data.dragValue = InfiniteKnob.toNormalised(this, this.getValue());
+                this.data.lastDragY = 0;
+                this.data.stateFlags.dragging = true;
+                this.grabFocus();
+                this.repaint();
+            }
+            else if (event.drag) {
+                // accumulate per-move deltas so pressing shift mid-drag doesn't jump
+                var speed = event.shiftDown ? this.data.sensitivity * this.data.fineFactor : this.data.sensitivity;
+                this.data.dragValue -= (event.dragY - this.data.lastDragY) * speed;
+                this.data.lastDragY = event.dragY;
+
+                if (this.data.isInfinite) this.data.dragValue -= Math.floor(this.data.dragValue);
+                else this.data.dragValue = Math.range(this.data.dragValue, 0.0, 1.0);
+
+                InfiniteKnob.setNormalised(this, this.data.dragValue);
+            }
+            else if (event.mouseUp) {
+                this.data.stateFlags.dragging = false;
+                this.repaint();
+            }
+        });
+
+        p.setKeyPressCallback(function(event)
+        {
+            if (event.isFocusChange) {
+                this.data.stateFlags.focus = event.hasFocus;
+                this.repaint();
+                return;
+            }
+
+            // enter types a value
+            if (!this.data.stateFlags.disabled && event.keyCode == 13) InfiniteKnob.showEntry(this);
+        });
+        return p;
+    };
+
+    inline function create(name, x, y, labelText, isInfinite, defaultValue)
+    {
+        return createWithOptions(name, x, y, labelText, isInfinite, defaultValue, {});
+    };
+}
+
+// ThemeManager: keeps a dark / light pair of themes and repaints every registered
+// panel when the active variant or the base colour changes. Registered panels get
+// panel.data.theme (the active theme) and panel.data.palette (its button palette).
+namespace ThemeManager
+{
+    const registeredPanels = [];
+    // variants holds the themes built so far for the current base colour / options;
+    // the inactive one is only generated when setMode first asks for it
+    const state = { mode: "dark", variants: undefined, baseColour: undefined, options: undefined };
+
+    inline function getTheme()
+    {
+        if (!isDefined(state.variants[state.mode]))
+            state.variants[state.mode] = generateThemeVariant(state.baseColour, state.options, state.mode);
+
+        return state.variants[state.mode];
+    }
+
+    inline function getMode()
+    {
+        return state.mode;
+    }
+
+    inline function repaintAll()
+    {
+        local theme = getTheme();
+
+        for (panelIndex = 0; panelIndex < registeredPanels.length; panelIndex++)
+        {
+            registeredPanels[panelIndex].data.theme = theme;
+            registeredPanels[panelIndex].data.palette = theme.button;
+            registeredPanels[panelIndex].repaint();
+        }
+    }
+
+    // Regenerates the active variant (options as in generateThemePalette) and repaints.
+    // Cheap enough to call on every knob drag: the other variant waits for setMode.
+    inline function update(baseColour, options)
+    {
+        state.baseColour = baseColour;
+        state.options = {};
+        state.variants = {};
+
+        if (isDefined(options))
+        {
+            for (key in options) state.options[key] = options[key];
+        }
+
+        repaintAll();
     }
-    
-    // -- Focus Background --
-    focus[0] = hover[0];
-    focus[1] = hover[1];
-    focus[2] = hover[2];
-    
-    // -- Focus Outline --
-    // 1. Rotate Hue 180 degrees
-    focusOutline[0] = Math.fmod(focus[0] + 180.0, 360.0);
-    // 2. Maximize Saturation
-    focusOutline[1] = 100.0; 
-    // 3. Invert Lightness (Threshold at 60.0 to prevent flicker)
-    if (primary[2] > 60.0) focusOutline[2] = 20.0; 
-    else focusOutline[2] = 90.0; 
 
-    // 3. Build Palette
-    palette.normal   = { background: baseColour,              text: getTextCol(primary) };
-    palette.hover    = { background: HSLuv.toColour(hover),   text: getTextCol(hover) };
-    palette.clicked  = { background: HSLuv.toColour(clicked), text: getTextCol(clicked) };
-    palette.disabled = { background: HSLuv.toColour(disabled),text: getTextCol(disabled) }; 
-    palette.focus    = { background: HSLuv.toColour(focus),   text: getTextCol(focus), outline: HSLuv.toColour(focusOutline) }; 
+    // Swaps the active variant ("dark" or "light") and repaints
+    inline function setMode(mode)
+    {
+        if (mode != "dark" && mode != "light")
+        {
+            Console.print("ThemeManager.setMode: unknown mode \"" + mode + "\" (expected dark or light)");
+            return;
+        }
 
-    return palette;
+        state.mode = mode;
+        if (isDefined(state.variants)) repaintAll();
+    }
+
+    inline function register(panel)
+    {
+        if (registeredPanels.indexOf(panel) == -1) registeredPanels.push(panel);
+
+        if (isDefined(state.variants))
+        {
+            panel.data.theme = getTheme();
+            panel.data.palette = getTheme().button;
+        }
+    }
 }
 
-// ==========================================================================
-// 2. NAMESPACES (InfiniteKnob)
-// ==========================================================================
+// PaletteButton: a ScriptPanel button drawn from a generateButtonPalette palette, with
+// mouse / space / enter handling, focus, a press flash and the layered states of
+// resolveButtonLayers. Flags live in button.data.stateFlags.
+namespace PaletteButton
+{
+    const DEFAULTS = {
+        "width": 140, "height": 50,
+        "mode": "momentary",        // or "toggle"
+        "text": "",
+        "labels": {},               // per state text, e.g. { "toggled": "Stop" }
+        "icon": undefined,          // a Path, drawn left of the text (or centred without text)
+        "onPress": undefined,       // function(button, value), value is 1 (or the toggle state)
+        "cornerRadius": 8.0,
+        "font": "default", "fontSize": 16.0,
+        "palette": undefined,       // undefined: follow ThemeManager
+        "flashTime": 150,           // ms the clicked state stays visible after a key press
+        "dragThreshold": 4          // px the mouse may move before a press becomes a drag (and is cancelled)
+    };
 
-namespace InfiniteKnob
+    // Fires the press: flips the toggle state, then calls onPress
+    inline function trigger(button)
+    {
+        local flags = button.data.stateFlags;
+        local value = 1;
+
+        if (flags.disabled) return;
+
+        if (button.data.mode == "toggle")
+        {
+            flags.toggled = !flags.toggled;
+            value = flags.toggled ? 1 : 0;
+            button.setValue(value);
+        }
+
+        if (isDefined(button.data.onPress)) button.data.onPress(button, value);
+
+        button.repaint();
+    }
+
+    // Sets one of the resolveButtonLayers flags. "disabled" also drops the focus,
+    // "toggled" also sets the value (without calling onPress).
+    inline function setFlag(button, flag, value)
+    {
+        button.data.stateFlags[flag] = value ? true : false;
+
+        if (flag == "disabled" && value) button.loseFocus();
+        if (flag == "toggled") button.setValue(value ? 1 : 0);
+
+        button.repaint();
+    }
+
+    inline function setMode(button, mode)
+    {
+        if (mode != "momentary" && mode != "toggle")
+        {
+            Console.print("PaletteButton.setMode: unknown mode \"" + mode + "\" (expected momentary or toggle)");
+            return;
+        }
+
+        button.data.mode = mode;
+        button.set("saveInPreset", mode == "toggle");
+        if (mode == "momentary") setFlag(button, "toggled", false);
+    }
+
+    // The panel's control callback: runs when a preset or the host restores the value
+    // (setValue from trigger / setFlag doesn't call it). Syncs the drawn toggle state
+    // and tells onPress, like a native button's callback on preset load.
+    inline function onButtonControl(component, value)
+    {
+        if (component.data.mode != "toggle") return;
+
+        local toggled = value > 0.5;
+
+        if (toggled == component.data.stateFlags.toggled) return;
+
+        component.data.stateFlags.toggled = toggled;
+        if (isDefined(component.data.onPress)) component.data.onPress(component, toggled ? 1 : 0);
+
+        component.repaint();
+    }
+
+    inline function setPalette(button, palette)
+    {
+        button.data.palette = palette;
+        button.repaint();
+    }
+
+    inline function create(name, x, y, options)
+    {
+        local p = Content.addPanel(name, x, y);
+        local settings = {};
+
+        for (key in DEFAULTS) settings[key] = HSLuv.getOption(options, key, DEFAULTS[key]);
+
+        Content.setPropertiesFromJSON(name, {
+            "width": settings.width, "height": settings.height,
+            "saveInPreset": settings.mode == "toggle",
+            "allowCallbacks": "All Callbacks", "opaque": false
+        });
+
+        p.setConsumedKeyPresses([{"keyCode": 32}, {"keyCode": 13}]);
+
+        p.data.stateFlags = {
+            "disabled": false, "clicked": false, "hover": false, "focus": false, "forceFocus": false,
+            "dragging": false, "toggled": false, "selected": false, "error": false
+        };
+        p.data.mode = settings.mode;
+        p.data.text = settings.text;
+        p.data.labels = settings.labels;
+        p.data.icon = settings.icon;
+        p.data.onPress = settings.onPress;
+        p.data.cornerRadius = settings.cornerRadius;
+        p.data.font = settings.font;
+        p.data.fontSize = settings.fontSize;
+        p.data.flashTime = settings.flashTime;
+        p.data.dragThreshold = settings.dragThreshold;
+
+        if (isDefined(settings.palette)) p.data.palette = settings.palette;
+        else ThemeManager.register(p); // sets p.data.palette
+
+        p.setControlCallback(onButtonControl);
+
+        p.setPaintRoutine(function(g)
+        {
+            if (!isDefined(this.data.palette)) return;
+
+            var layers = resolveButtonLayers(this.data.palette, this.data.stateFlags);
+            var area = [2, 2, this.getWidth() - 4, this.getHeight() - 4];
+            var label = isDefined(this.data.labels[layers.state]) ? this.data.labels[layers.state] : this.data.text;
+
+            // name the outline state too if it has a label, e.g. "Hover + Focus"
+            if (isDefined(layers.outline) && layers.outlineState != layers.state && isDefined(this.data.labels[layers.outlineState]))
+                label += " + " + this.data.labels[layers.outlineState];
+
+            g.setColour(layers.background);
+            g.fillRoundedRectangle(area, this.data.cornerRadius);
+
+            if (isDefined(layers.outline))
+            {
+                g.setColour(layers.outline);
+                g.drawRoundedRectangle(area, this.data.cornerRadius, 3.0);
+            }
+
+            g.setColour(layers.text);
+
+            if (isDefined(this.data.icon))
+            {
+                var iconSize = area[3] * 0.5;
+
+                if (label == "")
+                {
+                    g.fillPath(this.data.icon, [area[0] + (area[2] - iconSize) / 2, area[1] + iconSize / 2, iconSize, iconSize]);
+                    return;
+                }
+
+                g.fillPath(this.data.icon, [area[0] + iconSize / 2, area[1] + iconSize / 2, iconSize, iconSize]);
+                area = [area[0] + iconSize * 1.5, area[1], area[2] - iconSize * 1.5, area[3]];
+            }
+
+            g.setFont(this.data.font, this.data.fontSize);
+            g.drawAlignedText(label, area, "centred");
+        });
+
+        p.setMouseCallback(function(event)
+        {
+            var flags = this.data.stateFlags;
+
+            if (flags.disabled) return;
+
+            if (event.clicked)
+            {
+                flags.clicked = true;
+                this.grabFocus();
+            }
+
+            // small movements (trackpad clicks) stay a press
+            if (event.drag && (Math.abs(event.dragX) > this.data.dragThreshold || Math.abs(event.dragY) > this.data.dragThreshold))
+                flags.dragging = true;
+
+            if (event.mouseUp)
+            {
+                var inside = event.x >= 0 && event.y >= 0 && event.x < this.getWidth() && event.y < this.getHeight();
+                var wasDrag = flags.dragging;
+
+                flags.clicked = false;
+                flags.dragging = false;
+
+                // releasing outside the button or after a drag cancels the press
+                if (inside && !wasDrag) PaletteButton.trigger(this);
+            }
+
+            if (event.hover == 1) flags.hover = true;
+            if (event.hover == 0) flags.hover = false;
+
+            this.repaint();
+        });
+
+        p.setKeyPressCallback(function(event)
+        {
+            if (event.isFocusChange)
+            {
+                this.data.stateFlags.focus = event.hasFocus;
+                this.repaint();
+                return;
+            }
+
+            if (!this.data.stateFlags.disabled && (event.keyCode == 32 || event.keyCode == 13))
+            {
+                this.data.stateFlags.clicked = true;
+                PaletteButton.trigger(this);
+                this.startTimer(this.data.flashTime);
+            }
+        });
+
+        p.setTimerCallback(function()
+        {
+            this.stopTimer();
+            this.data.stateFlags.clicked = false;
+            this.repaint();
+        });
+
+        return p;
+    };
+}
+
+// HSLuvPicker: a colour picker panel painted in HSLuv. A saturation / lightness plane,
+// a hue strip, an alpha bar, recent colour swatches and a hex field (a label named
+// <name>_Hex). onChange is called as function(picker, hsluv, colour) with
+// hsluv = [H, S, L, A] and colour the uint32 (including alpha). The frame follows
+// ThemeManager unless a theme is passed.
+namespace HSLuvPicker
 {
-    inline function create(name, x, y, labelText, isInfinite, defaultValue)
+    const DEFAULTS = {
+        "width": 220, "height": 200,
+        "colour": 0xFF2196F3,   // initial colour, uint32 or [H, S, L(, A)]
+        "onChange": undefined,
+        "resolution": 16,       // plane cells per side
+        "movingResolution": 6,  // plane cells per side while the hue is changing
+        "settleTime": 150,      // ms without a hue change before the full plane is drawn
+        "hueSegments": 36,
+        "recentCount": 8,
+        "theme": undefined      // a generateThemePalette theme; undefined: follow ThemeManager
+    };
+
+    const hexTargets = {}; // hex label id -> picker
+
+    // Areas of the plane, hue strip, alpha bar, swatch row and hex field for the panel size
+    inline function getLayout(picker)
+    {
+        local w = picker.getWidth();
+        local h = picker.getHeight();
+        local pad = 6;
+        local planeHeight = h - 5 * pad - 12 - 16 - 20; // alpha, swatch and hex rows below
+
+        return {
+            plane:    [pad, pad, w - 3 * pad - 16, planeHeight],
+            hue:      [w - pad - 16, pad, 16, planeHeight],
+            alpha:    [pad, 2 * pad + planeHeight, w - 2 * pad, 12],
+            swatches: [pad, 3 * pad + planeHeight + 12, w - 2 * pad, 16],
+            hex:      [pad, 4 * pad + planeHeight + 28, 90, 20],
+            preview:  [2 * pad + 90, 4 * pad + planeHeight + 28, w - 3 * pad - 90, 20]
+        };
+    }
+
+    // Rebuilds the plane colours if the hue or the resolution changed. Called from the
+    // paint routine, so a burst of setColour calls (a knob drag) costs one rebuild per
+    // frame, at movingResolution until the hue settles.
+    inline function cachePlane(picker)
+    {
+        local colours = [];
+        local rgb = [0.0, 0.0, 0.0];
+        local n = picker.data.hueMoving ? picker.data.movingResolution : picker.data.resolution;
+
+        if (picker.data.planeHue == picker.data.hsla[0] && picker.data.planeResolution == n) return;
+
+        for (cacheRow = 0; cacheRow < n; cacheRow++)
+        {
+            for (cacheCol = 0; cacheCol < n; cacheCol++)
+            {
+                HSLuv.hsluvToRgbInto(picker.data.hsla[0], (cacheCol + 0.5) / n * 100.0, 100.0 - (cacheRow + 0.5) / n * 100.0, rgb, 0);
+                colours.push(HSLuv.packColour(rgb[0], rgb[1], rgb[2], 1.0));
+            }
+        }
+
+        picker.data.planeColours = colours;
+        picker.data.planeHue = picker.data.hsla[0];
+        picker.data.planeResolution = n;
+    }
+
+    // Colours the hex field from the theme (the rest of the frame is painted)
+    inline function applyTheme(picker)
+    {
+        local theme = picker.data.theme;
+
+        if (!isDefined(theme) || picker.data.hexTheme == theme) return;
+
+        picker.data.hexLabel.set("textColour", theme.text.primary);
+        picker.data.hexLabel.set("bgColour", theme.background.elevated);
+        picker.data.hexTheme = theme;
+    }
+
+    inline function getColour(picker)
+    {
+        return HSLuv.toColourWithAlpha(picker.data.hsla);
+    }
+
+    // [H, S, L, A]
+    inline function getHSLuv(picker)
+    {
+        return picker.data.hsla.clone();
+    }
+
+    inline function addRecent(picker, colour)
+    {
+        local recent = picker.data.recent;
+        local index = recent.indexOf(colour);
+
+        if (index != -1) recent.removeElement(index);
+
+        recent.insert(0, colour);
+
+        while (recent.length > picker.data.recentCount) recent.pop();
+
+        picker.repaint();
+    }
+
+    // Draws the plane at movingResolution until the hue has been still for settleTime
+    inline function markHueMoving(picker)
+    {
+        if (picker.data.planeHue < 0.0) return; // nothing drawn yet
+
+        picker.data.hueMoving = true;
+        picker.startTimer(picker.data.settleTime);
+    }
+
+    // Sets the colour from [H, S, L(, A)] and optionally calls onChange.
+    // Greys keep the current hue so the plane doesn't jump.
+    inline function applyHsla(picker, hsla, notify)
+    {
+        local newHsla = [hsla[0], hsla[1], hsla[2], hsla.length > 3 ? hsla[3] : 1.0];
+
+        if (newHsla[1] < 0.01 || newHsla[2] < 0.01 || newHsla[2] > 99.99) newHsla[0] = picker.data.hsla[0];
+
+        if (newHsla[0] != picker.data.hsla[0]) markHueMoving(picker);
+
+        picker.data.hsla = newHsla;
+
+        picker.data.hexLabel.set("text", HSLuv.colourToHex(getColour(picker), newHsla[3] < 1.0));
+        picker.repaint();
+
+        if (notify && isDefined(picker.data.onChange)) picker.data.onChange(picker, getHSLuv(picker), getColour(picker));
+    }
+
+    // Sets the colour (uint32 or [H, S, L(, A)]) without calling onChange
+    inline function setColour(picker, colour)
+    {
+        applyHsla(picker, (typeof colour == "number") ? HSLuv.fromColourWithAlpha(colour) : colour, false);
+    }
+
+    inline function setChangeCallback(picker, f)
+    {
+        picker.data.onChange = f;
+    }
+
+    inline function onHexControl(component, value)
+    {
+        local picker = hexTargets[component.getId()];
+        local hsla = HSLuv.fromHexWithAlpha(value); // prints the error if it doesn't parse
+
+        if (!isDefined(hsla))
+        {
+            component.set("text", HSLuv.colourToHex(getColour(picker), picker.data.hsla[3] < 1.0));
+            return;
+        }
+
+        applyHsla(picker, hsla, true);
+        addRecent(picker, getColour(picker));
+    }
+
+    // Moves the part being dragged (plane, hue or alpha) to the mouse position
+    inline function dragTo(picker, x, y)
+    {
+        local layout = getLayout(picker);
+        local hsla = picker.data.hsla.clone();
+        local area;
+
+        if (picker.data.dragTarget == "plane")
+        {
+            area = layout.plane;
+            hsla[1] = Math.range((x - area[0]) / area[2], 0.0, 1.0) * 100.0;
+            hsla[2] = 100.0 - Math.range((y - area[1]) / area[3], 0.0, 1.0) * 100.0;
+        }
+        else if (picker.data.dragTarget == "hue")
+        {
+            area = layout.hue;
+            hsla[0] = Math.range((y - area[1]) / area[3], 0.0, 1.0) * 360.0;
+        }
+        else if (picker.data.dragTarget == "alpha")
+        {
+            area = layout.alpha;
+            hsla[3] = Math.range((x - area[0]) / area[2], 0.0, 1.0);
+        }
+        else return;
+
+        // applyHsla keeps the current hue for greys, so set it first (hue drags on a grey),
+        // which also hides the change from applyHsla's check
+        if (hsla[0] != picker.data.hsla[0]) markHueMoving(picker);
+
+        picker.data.hsla[0] = hsla[0];
+        applyHsla(picker, hsla, true);
+    }
+
+    inline function contains(area, x, y)
+    {
+        return x >= area[0] && y >= area[1] && x < area[0] + area[2] && y < area[1] + area[3];
+    }
+
+    inline function create(name, x, y, options)
     {
         local p = Content.addPanel(name, x, y);
+        local settings = {};
+
+        for (key in DEFAULTS) settings[key] = HSLuv.getOption(options, key, DEFAULTS[key]);
 
         Content.setPropertiesFromJSON(name, {
-            "width": 60, "height": 75,
-            "saveInPreset": false, 
+            "width": settings.width, "height": settings.height,
+            "saveInPreset": false,
             "allowCallbacks": "Clicks, Hover & Dragging", "opaque": false
         });
 
-        p.data.sensitivity = 0.005; 
-        p.data.startVal = 0.0;
-        p.data.label = labelText;
-        p.data.isInfinite = isInfinite;
+        p.data.resolution = settings.resolution;
+        p.data.movingResolution = settings.movingResolution;
+        p.data.settleTime = settings.settleTime;
+        p.data.hueMoving = false;
+        p.data.planeResolution = 0;
+        p.data.recentCount = settings.recentCount;
+        p.data.onChange = settings.onChange;
+        p.data.recent = [];
+        p.data.dragTarget = "";
+        p.data.planeHue = -1.0;
+        p.data.hsla = [0.0, 0.0, 0.0, 1.0];
+        p.data.hueColours = [];
 
-        p.setValue(defaultValue);
+        // stop i sits at i / (n - 1) of the strip, the same linear mapping as the marker and dragTo
+        for (hueIndex = 0; hueIndex < settings.hueSegments; hueIndex++)
+            p.data.hueColours.push(HSLuv.toColour([hueIndex / Math.max(1, settings.hueSegments - 1) * 360.0, 100.0, 65.0]));
+
+        local layout = getLayout(p);
+        local hexLabel = Content.addLabel(name + "_Hex", x + layout.hex[0], y + layout.hex[1]);
+
+        Content.setPropertiesFromJSON(name + "_Hex", {
+            "width": layout.hex[2], "height": layout.hex[3],
+            "saveInPreset": false, "editable": true, "alignment": "centred"
+        });
+
+        p.data.hexLabel = hexLabel;
+        hexTargets[name + "_Hex"] = p;
+        hexLabel.setControlCallback(onHexControl);
+
+        setColour(p, settings.colour);
+
+        if (isDefined(settings.theme)) p.data.theme = settings.theme;
+        else ThemeManager.register(p); // sets p.data.theme
 
         p.setPaintRoutine(function(g)
         {
-            var w = this.getWidth(); var h = 60; 
-            
-            g.setColour(Colours.darkgrey); g.fillEllipse([2, 2, w-4, h-4]);
-            g.setColour(Colours.white); g.drawEllipse([2, 2, w-4, h-4], 2.0);
+            HSLuvPicker.cachePlane(this);
+            HSLuvPicker.applyTheme(this);
 
-            var angle = (this.getValue() * 6.2832) + 3.1416;
-            var radius = (w / 2) * 0.7;
-            var cx = w / 2; var cy = h / 2;
-            
-            g.setColour(Colours.white);
-            g.fillEllipse([cx + radius * Math.sin(angle) - 3, cy - radius * Math.cos(angle) - 3, 6, 6]);
+            var layout = HSLuvPicker.getLayout(this);
+            var hsla = this.data.hsla;
+            var theme = this.data.theme;
+            var markerColour = isDefined(theme) ? theme.text.primary : Colours.white;
+            var area = layout.plane;
+            var n = this.data.planeResolution;
+            var cellW = area[2] / n;
+            var cellH = area[3] / n;
 
-            g.setFont("default", 15.0);
-            g.drawAlignedText(this.data.label, [0, 60, w, 15], "centred");
+            // -- Frame --
+            if (isDefined(theme)) {
+                g.setColour(theme.background.surface);
+                g.fillRoundedRectangle([0, 0, this.getWidth(), this.getHeight()], 4.0);
+            }
+
+            // -- Saturation / lightness plane --
+            for (var planeRow = 0; planeRow < n; planeRow++) {
+                for (var planeCol = 0; planeCol < n; planeCol++) {
+                    g.setColour(this.data.planeColours[planeRow * n + planeCol]);
+                    g.fillRect([area[0] + planeCol * cellW, area[1] + planeRow * cellH, Math.ceil(cellW), Math.ceil(cellH)]);
+                }
+            }
+
+            var markerX = area[0] + hsla[1] / 100.0 * area[2];
+            var markerY = area[1] + (100.0 - hsla[2]) / 100.0 * area[3];
+
+            g.setColour(hsla[2] > 60.0 ? Colours.black : Colours.white);
+            g.drawEllipse([markerX - 5, markerY - 5, 10, 10], 2.0);
+
+            // -- Hue strip --
+            area = layout.hue;
+
+            g.setGradientFill(HSLuv.toGradientFill(this.data.hueColours, area[0], area[1], area[0], area[1] + area[3], false));
+            g.fillRect(area);
+
+            var hueY = area[1] + hsla[0] / 360.0 * area[3];
+            g.setColour(markerColour);
+            g.drawRect([area[0] - 2, hueY - 2, area[2] + 4, 4], 1.5);
+
+            // -- Alpha bar over a checkerboard --
+            area = layout.alpha;
+
+            g.setColour(Colours.lightgrey);
+            g.fillRect(area);
+            g.setColour(Colours.grey);
+
+            for (var checker = 0; checker * 6 < area[2]; checker++)
+                g.fillRect([area[0] + checker * 6, area[1] + (checker % 2) * 6, Math.min(6, area[2] - checker * 6), 6]);
+
+            var opaque = HSLuv.toColour([hsla[0], hsla[1], hsla[2]]);
+            g.setGradientFill([Colours.withAlpha(opaque, 0.0), area[0], area[1], opaque, area[0] + area[2], area[1], false]);
+            g.fillRect(area);
+
+            g.setColour(markerColour);
+            g.drawRect([area[0] + hsla[3] * area[2] - 2, area[1] - 2, 4, area[3] + 4], 1.5);
+
+            // -- Recent swatches --
+            area = layout.swatches;
+
+            for (var swatchIndex = 0; swatchIndex < this.data.recent.length; swatchIndex++) {
+                g.setColour(this.data.recent[swatchIndex]);
+                g.fillRect([area[0] + swatchIndex * (area[3] + 4), area[1], area[3], area[3]]);
+            }
+
+            // -- Preview --
+            g.setColour(HSLuvPicker.getColour(this));
+            g.fillRoundedRectangle(layout.preview, 3.0);
         });
 
         p.setMouseCallback(function(event)
         {
-            if (event.clicked) this.data.startVal = this.getValue();
-            else if (event.drag) {
-                var delta = -(event.dragY * this.data.sensitivity);
-                var newVal = this.data.startVal + delta;
-                
-                if (this.data.isInfinite) newVal = newVal - Math.floor(newVal);
-                else {
-                    if (newVal < 0.0) newVal = 0.0;
-                    if (newVal > 1.0) newVal = 1.0;
+            var layout = HSLuvPicker.getLayout(this);
+
+            if (event.clicked) {
+                this.data.dragTarget = "";
+
+                if (HSLuvPicker.contains(layout.plane, event.x, event.y)) this.data.dragTarget = "plane";
+                else if (HSLuvPicker.contains(layout.hue, event.x, event.y)) this.data.dragTarget = "hue";
+                else if (HSLuvPicker.contains(layout.alpha, event.x, event.y)) this.data.dragTarget = "alpha";
+                else if (HSLuvPicker.contains(layout.swatches, event.x, event.y)) {
+                    var swatch = Math.floor((event.x - layout.swatches[0]) / (layout.swatches[3] + 4));
+
+                    if (swatch < this.data.recent.length)
+                        HSLuvPicker.applyHsla(this, HSLuv.fromColourWithAlpha(this.data.recent[swatch]), true);
+                    return;
                 }
-                
-                this.setValue(newVal);
-                this.changed(); this.repaintImmediately();
+
+                HSLuvPicker.dragTo(this, event.x, event.y);
             }
+            else if (event.drag) HSLuvPicker.dragTo(this, event.x, event.y);
+            else if (event.mouseUp && this.data.dragTarget != "") {
+                // every finished drag is remembered
+                this.data.dragTarget = "";
+                HSLuvPicker.addRecent(this, HSLuvPicker.getColour(this));
+            }
+        });
+
+        p.setTimerCallback(function()
+        {
+            // the hue has settled: draw the full plane
+            this.stopTimer();
+            this.data.hueMoving = false;
+            this.repaint();
         });
+
         return p;
     };
 }
@@ -187,37 +2056,40 @@ const INIT_LIG = 50.0;  // 0 - 100
 // Initialize Global State
 var currentHSLuv = [INIT_HUE, INIT_SAT, INIT_LIG];
 var baseColour = HSLuv.toColour(currentHSLuv);
+const paletteOptions = { colourSpace: "hsluv", textContrast: "wcag" }; // see generateButtonPaletteWithOptions
+
+// keep knob drags smooth: memoised palettes. Cache mode stays off so the shown values
+// (picker hex, contrast report) are exact; the picker plane and the hue wheel use the
+// batch converters instead.
+setPaletteCache(64);
+
+ThemeManager.update(baseColour, paletteOptions);
 
 // --- Background Stage ---
 const BackgroundPanel = Content.addPanel("BackgroundPanel", 0, 0);
 BackgroundPanel.set("width", 200);
-BackgroundPanel.set("height", 120);
+BackgroundPanel.set("height", 210); // the test button and the knobs below it
 BackgroundPanel.set("saveInPreset", false);
+ThemeManager.register(BackgroundPanel);
 BackgroundPanel.setPaintRoutine(function(g) {
-    g.fillAll(0xFF555555); 
+    g.fillAll(this.data.theme.background.surface); 
 });
 
 // --- Test Button ---
-const TestColourPanel = Content.addPanel("TestColourPanel", 30, 35); 
-TestColourPanel.set("width", 140);
-TestColourPanel.set("height", 50);
-TestColourPanel.set("allowCallbacks", "All Callbacks");
-TestColourPanel.setConsumedKeyPresses([{"keyCode": 32}, {"keyCode": 13}]);
-
-TestColourPanel.data.palette = generateButtonPalette(baseColour);
-TestColourPanel.data.stateFlags = {
-    "disabled": false, "clicked": false, "hover": false, "focus": false, "forceFocus": false 
+const STATE_LABELS = {
+    "normal": "Normal", "hover": "Hover", "clicked": "Clicked", "disabled": "Disabled", "focus": "Focus",
+    "toggled": "On", "toggledHover": "On + Hover", "selected": "Selected", "dragging": "Dragging", "error": "Error"
 };
 
+const TestColourPanel = PaletteButton.create("TestColourPanel", 30, 35, { "labels": STATE_LABELS, "fontSize": 18.0 });
+
 // --- Controls ---
 
 const DisableSwitch = Content.addButton("DisableSwitch", 210, 10);
 DisableSwitch.set("text", "Disable");
 inline function onDisableControl(component, value)
 {
-    TestColourPanel.data.stateFlags.disabled = value;
-    if (value) TestColourPanel.loseFocus();
-    TestColourPanel.repaint();
+    PaletteButton.setFlag(TestColourPanel, "disabled", value);
 };
 DisableSwitch.setControlCallback(onDisableControl);
 
@@ -225,132 +2097,109 @@ const FocusDemoBtn = Content.addButton("FocusDemoBtn", 210, 40);
 FocusDemoBtn.set("text", "Simulate Focus");
 inline function onFocusDemoControl(component, value)
 {
-    TestColourPanel.data.stateFlags.forceFocus = value;
-    TestColourPanel.repaint();
+    PaletteButton.setFlag(TestColourPanel, "forceFocus", value);
 };
 FocusDemoBtn.setControlCallback(onFocusDemoControl);
 
 inline function updateAll() {
     baseColour = HSLuv.toColour(currentHSLuv);
-    TestColourPanel.data.palette = generateButtonPalette(baseColour);
-    TestColourPanel.repaint();
+    ThemeManager.update(baseColour, paletteOptions); // repaints every registered panel
 }
 
-// --- Knobs ---
-
-const HueKnob = InfiniteKnob.create("HueKnob", 0, 130, "Hue", true, INIT_HUE / 360.0);
-inline function onHueControl(component, value) { currentHSLuv[0] = value * 360.0; updateAll(); };
-HueKnob.setControlCallback(onHueControl);
+const SpaceSwitch = Content.addButton("SpaceSwitch", 210, 70);
+SpaceSwitch.set("text", "OKLCH States");
+SpaceSwitch.set("saveInPreset", false);
+inline function onSpaceControl(component, value)
+{
+    paletteOptions.colourSpace = value ? "oklch" : "hsluv";
+    updateAll();
+};
+SpaceSwitch.setControlCallback(onSpaceControl);
 
-const SatKnob = InfiniteKnob.create("SatKnob", 70, 130, "Sat", false, INIT_SAT / 100.0);
-inline function onSatControl(component, value) { currentHSLuv[1] = value * 100.0; updateAll(); };
-SatKnob.setControlCallback(onSatControl);
+const ApcaSwitch = Content.addButton("ApcaSwitch", 210, 100);
+ApcaSwitch.set("text", "APCA Text");
+ApcaSwitch.set("saveInPreset", false);
+inline function onApcaControl(component, value)
+{
+    paletteOptions.textContrast = value ? "apca" : "wcag";
+    updateAll();
+};
+ApcaSwitch.setControlCallback(onApcaControl);
 
-const LightKnob = InfiniteKnob.create("LightKnob", 140, 130, "Light", false, INIT_LIG / 100.0);
-inline function onLightControl(component, value) { currentHSLuv[2] = value * 100.0; updateAll(); };
-LightKnob.setControlCallback(onLightControl);
+const LightThemeSwitch = Content.addButton("LightThemeSwitch", 210, 130);
+LightThemeSwitch.set("text", "Light Theme");
+LightThemeSwitch.set("saveInPreset", false);
+inline function onLightThemeControl(component, value)
+{
+    ThemeManager.setMode(value ? "light" : "dark");
+};
+LightThemeSwitch.setControlCallback(onLightThemeControl);
 
-// Visual Init
-SatKnob.changed(); SatKnob.repaint();
-LightKnob.changed(); LightKnob.repaint();
-HueKnob.changed(); HueKnob.repaint();
+const ToggleModeSwitch = Content.addButton("ToggleModeSwitch", 210, 160);
+ToggleModeSwitch.set("text", "Toggle Mode");
+ToggleModeSwitch.set("saveInPreset", false);
+inline function onToggleModeControl(component, value)
+{
+    PaletteButton.setMode(TestColourPanel, value ? "toggle" : "momentary");
+};
+ToggleModeSwitch.setControlCallback(onToggleModeControl);
 
-// --- BUTTON LOGIC ---
+const SelectedSwitch = Content.addButton("SelectedSwitch", 210, 190);
+SelectedSwitch.set("text", "Selected");
+SelectedSwitch.set("saveInPreset", false);
+inline function onSelectedControl(component, value)
+{
+    PaletteButton.setFlag(TestColourPanel, "selected", value);
+};
+SelectedSwitch.setControlCallback(onSelectedControl);
 
-TestColourPanel.setKeyPressCallback(function(event)
+const ErrorSwitch = Content.addButton("ErrorSwitch", 210, 220);
+ErrorSwitch.set("text", "Error");
+ErrorSwitch.set("saveInPreset", false);
+inline function onErrorControl(component, value)
 {
-    if (event.isFocusChange) {
-        this.data.stateFlags.focus = event.hasFocus;
-        this.repaint();
-        return;
-    }
-    if (!this.data.stateFlags.disabled && (event.keyCode == 32 || event.keyCode == 13)) {
-        this.data.stateFlags.clicked = true;
-        this.repaint();
-        this.startTimer(150); 
-    }
-});
+    PaletteButton.setFlag(TestColourPanel, "error", value);
+};
+ErrorSwitch.setControlCallback(onErrorControl);
 
-TestColourPanel.setTimerCallback(function() {
-    this.stopTimer();
-    this.data.stateFlags.clicked = false;
-    this.repaint();
-});
+// --- Colour Picker ---
 
-TestColourPanel.setMouseCallback(function(event)
-{
-    if (this.data.stateFlags.disabled) return;
-    if (event.clicked) {
-        this.data.stateFlags.clicked = true;
-        this.grabFocus(); 
-    }
-    if (event.mouseUp) this.data.stateFlags.clicked = false;
-    if (event.hover == 1) this.data.stateFlags.hover = true;
-    if (event.hover == 0) this.data.stateFlags.hover = false;
-    this.repaint();
-});
+const ColourPicker = HSLuvPicker.create("ColourPicker", 350, 10, { "colour": baseColour });
 
-inline function resolveButtonState(panel)
-{
-    local flags = panel.data.stateFlags;
-    if (flags.disabled) return "disabled";
-    if (flags.forceFocus) return "focus";
-    if (flags.clicked) return "clicked";
-    if (flags.hover) return "hover";
-    if (flags.focus) return "focus";
-    return "normal";
-}
+// --- Knobs ---
+
+const HueKnob = InfiniteKnob.createWithOptions("HueKnob", 0, 130, "Hue", true, INIT_HUE, { "max": 360.0, "stepSize": 1.0, "suffix": "°", "decimals": 0, "hueWheel": true });
+inline function onHueControl(component, value) { currentHSLuv[0] = value; HSLuvPicker.setColour(ColourPicker, currentHSLuv); updateAll(); };
+InfiniteKnob.setChangeCallback(HueKnob, onHueControl);
+
+const SatKnob = InfiniteKnob.createWithOptions("SatKnob", 70, 130, "Sat", false, INIT_SAT, { "max": 100.0 });
+inline function onSatControl(component, value) { currentHSLuv[1] = value; InfiniteKnob.setHueWheel(HueKnob, currentHSLuv[1], currentHSLuv[2]); HSLuvPicker.setColour(ColourPicker, currentHSLuv); updateAll(); };
+InfiniteKnob.setChangeCallback(SatKnob, onSatControl);
 
-TestColourPanel.setPaintRoutine(function(g)
+const LightKnob = InfiniteKnob.createWithOptions("LightKnob", 140, 130, "Light", false, INIT_LIG, { "max": 100.0 });
+inline function onLightControl(component, value) { currentHSLuv[2] = value; InfiniteKnob.setHueWheel(HueKnob, currentHSLuv[1], currentHSLuv[2]); HSLuvPicker.setColour(ColourPicker, currentHSLuv); updateAll(); };
+InfiniteKnob.setChangeCallback(LightKnob, onLightControl);
+
+// picking a colour moves the knobs (without calling their callbacks)
+inline function onPickerChange(picker, hsluv, colour)
 {
-    if (this.data.palette == undefined) this.data.palette = generateButtonPalette(baseColour);
+    currentHSLuv = [hsluv[0], hsluv[1], hsluv[2]];
 
-    var currentState = resolveButtonState(this);
-    var buttonColors = this.data.palette;
-    
-    var w = this.getWidth();
-    var h = this.getHeight();
-    var cornerRadius = 8.0;
-    var area = [2, 2, w-4, h-4]; 
+    HueKnob.setValue(hsluv[0]); HueKnob.repaint();
+    SatKnob.setValue(hsluv[1]); SatKnob.repaint();
+    LightKnob.setValue(hsluv[2]); LightKnob.repaint();
+    InfiniteKnob.setHueWheel(HueKnob, hsluv[1], hsluv[2]);
 
-    g.setFont("default", 22.0);
+    updateAll();
+};
+HSLuvPicker.setChangeCallback(ColourPicker, onPickerChange);
 
-    switch (currentState)
-    {
-        case "normal":
-            g.setColour(buttonColors.normal.background);
-            g.fillRoundedRectangle(area, cornerRadius);
-            g.setColour(buttonColors.normal.text);
-            g.drawAlignedText("Normal", area, "centred");
-            break;
-        case "hover":
-            g.setColour(buttonColors.hover.background);
-            g.fillRoundedRectangle(area, cornerRadius);
-            g.setColour(buttonColors.hover.text);
-            g.drawAlignedText("Hover", area, "centred");
-            break;
-        case "clicked":
-            g.setColour(buttonColors.clicked.background);
-            g.fillRoundedRectangle(area, cornerRadius);
-            g.setColour(buttonColors.clicked.text);
-            g.drawAlignedText("Clicked", area, "centred");
-            break;
-        case "disabled":
-            g.setColour(buttonColors.disabled.background);
-            g.fillRoundedRectangle(area, cornerRadius);
-            g.setColour(buttonColors.disabled.text);
-            g.drawAlignedText("Disabled", area, "centred");
-            break;
-        case "focus":
-            g.setColour(buttonColors.focus.background);
-            g.fillRoundedRectangle(area, cornerRadius);
-            
-            g.setColour(buttonColors.focus.outline);
-            g.drawRoundedRectangle(area, cornerRadius, 3.0);
-            
-            g.setColour(buttonColors.focus.text);
-            g.drawAlignedText("Focus", area, "centred");
-            break;
-    }
-});
+// the knobs follow the theme like the panels above
+ThemeManager.register(HueKnob);
+ThemeManager.register(SatKnob);
+ThemeManager.register(LightKnob);
 
+// Visual Init
+SatKnob.changed();
+LightKnob.changed();
+HueKnob.changed();